@@ -1,10 +1,82 @@
 require('dotenv').config();
 
+// "trust proxy" setting: a hop count, true/false, or a comma-separated list of proxy addresses/CIDRs
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '') return 1;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value.split(',').map(entry => entry.trim());
+};
+
+// Numeric settings fall back to their default only when unset or not a number, so 0 can be chosen
+const parseInteger = (value, defaultValue) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? defaultValue : number;
+};
+
+const parseNumber = (value, defaultValue) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? defaultValue : number;
+};
+
+// Comma-separated list, ignoring spaces around entries and empty entries
+const parseList = (value, defaultValue) => {
+  const entries = String(value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  return entries.length > 0 ? entries : defaultValue;
+};
+
 module.exports = {
   PORT: process.env.PORT || 3001,
+  TRUST_PROXY: parseTrustProxy(process.env.TRUST_PROXY),
   MONGODB_URI: process.env.MONGODB_URI || 'mongodb://localhost:27017/single-device-auth',
   JWT_SECRET: process.env.JWT_SECRET || 'Fl8cyGu+YYq64x5NM2ZeaScdocl8GjzGlZH3kNhwGR4=',
-  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '24h',
+  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '15m',
+  REFRESH_TOKEN_EXPIRES_IN: process.env.REFRESH_TOKEN_EXPIRES_IN || '7d',
+  TOTP_ISSUER: process.env.TOTP_ISSUER || 'Single Device Auth',
+  WEBHOOK_WORKER_INTERVAL_MS: parseInteger(process.env.WEBHOOK_WORKER_INTERVAL_MS, 10000),
+  WEBHOOK_MAX_ATTEMPTS: parseInteger(process.env.WEBHOOK_MAX_ATTEMPTS, 8),
+  WEBHOOK_TIMEOUT_MS: parseInteger(process.env.WEBHOOK_TIMEOUT_MS, 10000),
+  FINGERPRINT_MATCH_THRESHOLD: parseNumber(process.env.FINGERPRINT_MATCH_THRESHOLD, 80),
+  FINGERPRINT_TRAIT_WEIGHTS: process.env.FINGERPRINT_TRAIT_WEIGHTS ? JSON.parse(process.env.FINGERPRINT_TRAIT_WEIGHTS) : {},
+  FINGERPRINT_SUSPICION_WEIGHTS: process.env.FINGERPRINT_SUSPICION_WEIGHTS ? JSON.parse(process.env.FINGERPRINT_SUSPICION_WEIGHTS) : {},
+  FINGERPRINT_SUSPICION_REVIEW_THRESHOLD: parseInteger(process.env.FINGERPRINT_SUSPICION_REVIEW_THRESHOLD, 50),
+  FINGERPRINT_SUSPICION_BLOCK_THRESHOLD: parseInteger(process.env.FINGERPRINT_SUSPICION_BLOCK_THRESHOLD, 0),
+  LOGIN_RISK_WEIGHTS: process.env.LOGIN_RISK_WEIGHTS ? JSON.parse(process.env.LOGIN_RISK_WEIGHTS) : {},
+  LOGIN_RISK_STEP_UP_THRESHOLD: parseInteger(process.env.LOGIN_RISK_STEP_UP_THRESHOLD, 40),
+  LOGIN_RISK_DENY_THRESHOLD: parseInteger(process.env.LOGIN_RISK_DENY_THRESHOLD, 80),
+  LOGIN_RISK_DORMANT_DAYS: parseInteger(process.env.LOGIN_RISK_DORMANT_DAYS, 30),
+  RATE_LIMIT_STORE: process.env.RATE_LIMIT_STORE || 'mongo',
+  RATE_LIMIT_KEYS_GENERAL: parseList(process.env.RATE_LIMIT_KEYS_GENERAL, ['ip']),
+  RATE_LIMIT_KEYS_AUTH: parseList(process.env.RATE_LIMIT_KEYS_AUTH, ['ip']),
+  RATE_LIMIT_KEYS_DEVICE_CHANGE: parseList(process.env.RATE_LIMIT_KEYS_DEVICE_CHANGE, ['ip', 'account']),
+  AUTH_RATE_LIMIT_MAX: parseInteger(process.env.AUTH_RATE_LIMIT_MAX, 30),
+  LOGIN_BACKOFF_FREE_ATTEMPTS: parseInteger(process.env.LOGIN_BACKOFF_FREE_ATTEMPTS, 3),
+  LOGIN_BACKOFF_BASE_MS: parseInteger(process.env.LOGIN_BACKOFF_BASE_MS, 1000),
+  LOGIN_BACKOFF_MAX_MS: parseInteger(process.env.LOGIN_BACKOFF_MAX_MS, 5 * 60 * 1000),
+  LOGIN_LOCKOUT_THRESHOLD: parseInteger(process.env.LOGIN_LOCKOUT_THRESHOLD, 10),
+  LOGIN_LOCKOUT_DURATION_MS: parseInteger(process.env.LOGIN_LOCKOUT_DURATION_MS, 15 * 60 * 1000),
+  LOGIN_FAILURE_WINDOW_MS: parseInteger(process.env.LOGIN_FAILURE_WINDOW_MS, 60 * 60 * 1000),
+  DEVICE_POLICY_MAX_DEVICES: parseInteger(process.env.DEVICE_POLICY_MAX_DEVICES, 1),
+  DEVICE_POLICY_REQUIRE_APPROVAL: process.env.DEVICE_POLICY_REQUIRE_APPROVAL !== 'false',
+  DEVICE_POLICY_ALLOW_CONCURRENT_SESSIONS: process.env.DEVICE_POLICY_ALLOW_CONCURRENT_SESSIONS === 'true',
+  DEVICE_POLICY_ON_LIMIT_REACHED: process.env.DEVICE_POLICY_ON_LIMIT_REACHED || 'replace-oldest',
+  DEVICE_POLICY_MAX_PENDING_REQUESTS: parseInteger(process.env.DEVICE_POLICY_MAX_PENDING_REQUESTS, 1),
+  DEVICE_POLICY_MAX_DEVICE_CHANGES: parseInteger(process.env.DEVICE_POLICY_MAX_DEVICE_CHANGES, 3),
+  DEVICE_POLICY_DEVICE_CHANGE_WINDOW_DAYS: parseInteger(process.env.DEVICE_POLICY_DEVICE_CHANGE_WINDOW_DAYS, 30),
+  DEVICE_POLICY_ALLOWED_COUNTRIES: parseList(process.env.DEVICE_POLICY_ALLOWED_COUNTRIES, []).map(country => country.toUpperCase()),
+  DEVICE_POLICY_BLOCKED_COUNTRIES: parseList(process.env.DEVICE_POLICY_BLOCKED_COUNTRIES, []).map(country => country.toUpperCase()),
+  DEVICE_POLICY_ALLOWED_IP_RANGES: process.env.DEVICE_POLICY_ALLOWED_IP_RANGES ? process.env.DEVICE_POLICY_ALLOWED_IP_RANGES.split(',').map(range => range.trim()) : [],
+  DEVICE_POLICY_BLOCKED_IP_RANGES: process.env.DEVICE_POLICY_BLOCKED_IP_RANGES ? process.env.DEVICE_POLICY_BLOCKED_IP_RANGES.split(',').map(range => range.trim()) : [],
+  GEOIP_DATABASE: process.env.GEOIP_DATABASE || null,
+  GEOIP_LOCATIONS: process.env.GEOIP_LOCATIONS || null,
+  GEOIP_MAX_TRAVEL_SPEED_KMH: parseInteger(process.env.GEOIP_MAX_TRAVEL_SPEED_KMH, 900),
+  GEOIP_MIN_TRAVEL_DISTANCE_KM: parseInteger(process.env.GEOIP_MIN_TRAVEL_DISTANCE_KM, 200),
+  SMTP_URL: process.env.SMTP_URL || null,
+  MAIL_FROM: process.env.MAIL_FROM || 'no-reply@localhost',
+  WEBAUTHN_RP_ID: process.env.WEBAUTHN_RP_ID || 'localhost',
+  WEBAUTHN_RP_NAME: process.env.WEBAUTHN_RP_NAME || 'Single Device Auth',
+  WEBAUTHN_ORIGINS: parseList(process.env.WEBAUTHN_ORIGINS, ['http://localhost:3001']),
+  WEBAUTHN_ALLOW_PASSWORDLESS: process.env.WEBAUTHN_ALLOW_PASSWORDLESS !== 'false',
   NODE_ENV: process.env.NODE_ENV || 'development',
   ALLOWED_ORIGINS: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['http://localhost:3001']
 };
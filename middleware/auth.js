@@ -1,16 +1,120 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const config = require('../config');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const DevicePolicy = require('../models/DevicePolicy');
+const AccessSchedule = require('../models/AccessSchedule');
+const { generateDeviceFingerprint } = require('../utils/deviceFingerprint');
+const { lookupIp } = require('../utils/geoip');
+const { checkDeviceProof, DEVICE_PROOF_MESSAGES } = require('../utils/deviceKeys');
+const { checkIpAccess, IP_ACCESS_MESSAGES } = require('../utils/ipAddress');
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, config.JWT_SECRET, {
-    expiresIn: config.JWT_EXPIRES_IN
+const REFRESH_COOKIE_NAME = 'refreshToken';
+
+// Hash of the device fingerprint embedded in access tokens
+const hashDeviceId = (deviceId) => {
+  return crypto.createHash('sha256').update(`device:${deviceId}`).digest('hex');
+};
+
+// Sign a short-lived access token for a session, bound to the presenting device
+const signAccessToken = (userId, sessionId, deviceId) => {
+  return jwt.sign({ userId, deviceHash: hashDeviceId(deviceId) }, config.JWT_SECRET, {
+    expiresIn: config.JWT_EXPIRES_IN,
+    jwtid: sessionId.toString()
   });
 };
 
-// Verify JWT token
-const verifyToken = async (req, res, next) => {
+// Issue a new refresh token in the session's rotation family
+const issueRefreshToken = async (session, deviceId) => {
+  // Bind the refresh token to the fingerprint of the device it is handed to
+  const refreshToken = new RefreshToken({
+    session: session._id,
+    user: session.user,
+    deviceId
+  });
+
+  const token = jwt.sign({ userId: session.user, type: 'refresh' }, config.JWT_SECRET, {
+    expiresIn: config.REFRESH_TOKEN_EXPIRES_IN,
+    jwtid: refreshToken._id.toString()
+  });
+
+  refreshToken.expiresAt = new Date(jwt.decode(token).exp * 1000);
+  await refreshToken.save();
+
+  // The session lives as long as its newest refresh token
+  session.expiresAt = refreshToken.expiresAt;
+  await session.save();
+
+  return { token, refreshToken };
+};
+
+// Generate access and refresh tokens backed by a new server-side session
+const generateToken = async (userId, deviceId, req, { twoFactorVerified = false } = {}) => {
+  const session = new Session({
+    user: userId,
+    deviceId: deviceId || null,
+    twoFactorVerified,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('User-Agent') || '',
+    location: lookupIp(req.ip || req.connection.remoteAddress) || undefined
+  });
+
+  // Signing in on one device ends sessions on the others unless the policy allows it
+  const policy = await DevicePolicy.resolveForUser(userId);
+  if (!policy.allowConcurrentSessions) {
+    await Session.revokeForUser(userId, {
+      reason: 'concurrent-session',
+      exceptDeviceId: session.deviceId
+    });
+  }
+
+  // The fingerprint actually presented, which may differ from the registered
+  // device id when the login was recognized through an IP change
+  const presentedDeviceId = generateDeviceFingerprint(req, userId).deviceId;
+  const { token: refreshToken } = await issueRefreshToken(session, presentedDeviceId);
+
+  return {
+    token: signAccessToken(userId, session._id, presentedDeviceId),
+    refreshToken
+  };
+};
+
+// Hand the refresh token to browsers as an httpOnly cookie
+const setRefreshCookie = (res, refreshToken) => {
+  const { exp } = jwt.decode(refreshToken);
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, {
+    httpOnly: true,
+    secure: config.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/api/auth',
+    expires: new Date(exp * 1000)
+  });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE_NAME, { path: '/api/auth' });
+};
+
+// Read the refresh token from the request body or cookie
+const getRefreshToken = (req) => {
+  if (req.body && req.body.refreshToken) {
+    return req.body.refreshToken;
+  }
+
+  const cookies = (req.get('Cookie') || '').split(';');
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === REFRESH_COOKIE_NAME) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+};
+
+// Build a JWT verifier; bindToDevice rejects tokens presented from another fingerprint
+const createTokenVerifier = ({ bindToDevice = true } = {}) => async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -22,7 +126,26 @@ const verifyToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, config.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+
+    // Refresh tokens can only be exchanged at /refresh
+    if (decoded.type === 'refresh') {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid token.' 
+      });
+    }
+
+    // Tokens are only honoured while their session is alive
+    const session = decoded.jti ? await Session.findById(decoded.jti) : null;
+    if (!session || !session.isValid() || !session.user.equals(decoded.userId)) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session has been revoked. Please login again.',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    const user = await User.findById(decoded.userId).select('-password').populate('roles');
     
     if (!user || !user.isActive) {
       return res.status(401).json({ 
@@ -31,13 +154,49 @@ const verifyToken = async (req, res, next) => {
       });
     }
 
+    // Tokens only work on the device they were issued to
+    const { deviceId } = generateDeviceFingerprint(req, user._id);
+    if (bindToDevice && decoded.deviceHash !== hashDeviceId(deviceId)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Device not authorized. Please request device change.',
+        code: 'DEVICE_NOT_AUTHORIZED'
+      });
+    }
+
+    // Sessions stop working once the client moves outside the policy's IP ranges
+    const ipAccess = checkIpAccess(req.ip || req.connection.remoteAddress, await DevicePolicy.resolveForUser(user._id));
+    if (!ipAccess.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: IP_ACCESS_MESSAGES.IP_NOT_ALLOWED,
+        code: 'IP_NOT_ALLOWED'
+      });
+    }
+
+    // Accounts with access windows can't use their sessions outside them
+    const access = await AccessSchedule.checkAccess(user);
+    if (!access.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: AccessSchedule.ACCESS_SCHEDULE_MESSAGES.OUTSIDE_ACCESS_WINDOW,
+        code: 'OUTSIDE_ACCESS_WINDOW',
+        data: { schedules: AccessSchedule.describe(access.schedules) }
+      });
+    }
+
+    session.lastSeen = new Date();
+    await session.save();
+
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ 
         success: false, 
-        message: 'Token expired. Please login again.' 
+        message: 'Token expired. Please refresh or login again.',
+        code: 'TOKEN_EXPIRED'
       });
     }
     
@@ -48,25 +207,71 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
-// Check if user is admin
-const requireAdmin = (req, res, next) => {
-  if (!req.user.isAdmin()) {
+// Verify JWT token
+const verifyToken = createTokenVerifier();
+
+// Verify JWT token presented from a device the session wasn't issued to, so
+// a signed-in user whose fingerprint changed can register or request it
+const verifyTokenFromNewDevice = createTokenVerifier({ bindToDevice: false });
+
+// Check that the user holds every listed permission
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.filter(permission => !req.user.hasPermission(permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Access denied. Insufficient permissions.',
+        code: 'PERMISSION_DENIED',
+        missingPermissions: missing
+      });
+    }
+    next();
+  };
+};
+
+// Require a session that passed two-factor authentication
+const requireTwoFactor = (req, res, next) => {
+  if (!req.user.twoFactor.enabled) {
     return res.status(403).json({ 
       success: false, 
-      message: 'Access denied. Admin privileges required.' 
-      });
+      message: 'Two-factor authentication must be set up for this account.',
+      code: 'TWO_FACTOR_SETUP_REQUIRED'
+    });
+  }
+
+  if (!req.authSession.twoFactorVerified) {
+    return res.status(403).json({ 
+      success: false, 
+      message: 'Please login again with your two-factor authentication code.',
+      code: 'TWO_FACTOR_REQUIRED'
+    });
   }
   next();
 };
 
-// Device validation middleware
+// Device validation middleware (must run after verifyToken)
 const validateDevice = async (req, res, next) => {
   try {
     const user = req.user;
-    const deviceId = user.generateDeviceId(req);
-    
-    // Admin users can bypass device restrictions
-    if (user.isAdmin()) {
+    // verifyToken already bound the token to this fingerprint; the session
+    // records which registered device that fingerprint was admitted as
+    const deviceId = req.authSession.deviceId;
+    user.lastKnownIP = req.ip || req.connection.remoteAddress;
+
+    // Devices with an enrolled key must prove possession of it on every request
+    const proofError = await checkDeviceProof(req, user.getRegisteredDevice(deviceId));
+    if (proofError) {
+      return res.status(401).json({
+        success: false,
+        message: DEVICE_PROOF_MESSAGES[proofError],
+        code: proofError
+      });
+    }
+
+    // Users with the bypass permission are not restricted to registered devices
+    if (user.hasPermission('devices:bypass')) {
       // Register the device if not already registered
       if (!user.isDeviceRegistered(deviceId)) {
         await user.registerDevice(deviceId, req);
@@ -79,8 +284,8 @@ const validateDevice = async (req, res, next) => {
       return;
     }
     
-    // Check if device is registered (not just current device)
-    if (!user.isDeviceRegistered(deviceId)) {
+    // Check if device is still registered (it may have been replaced or revoked)
+    if (!deviceId || !user.isDeviceRegistered(deviceId)) {
       return res.status(403).json({ 
         success: false, 
         message: 'Device not authorized. Please request device change.',
@@ -105,8 +310,15 @@ const validateDevice = async (req, res, next) => {
 
 module.exports = {
   generateToken,
+  signAccessToken,
+  issueRefreshToken,
+  setRefreshCookie,
+  clearRefreshCookie,
+  getRefreshToken,
   verifyToken,
-  requireAdmin,
+  verifyTokenFromNewDevice,
+  requirePermission,
+  requireTwoFactor,
   validateDevice
 };
 
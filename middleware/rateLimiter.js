@@ -1,43 +1,86 @@
 const rateLimit = require('express-rate-limit');
+const config = require('../config');
+const MongoRateLimitStore = require('../utils/mongoRateLimitStore');
+const { generateDeviceFingerprint } = require('../utils/deviceFingerprint');
+
+// Parts a limiter key can combine (RATE_LIMIT_KEYS_* settings)
+const KEY_PARTS = {
+  ip: (req) => req.ip,
+  // The logged-in user, or the email a sign-in is attempted for
+  account: (req) => {
+    if (req.user) return req.user._id.toString();
+    const email = req.body && req.body.email;
+    return typeof email === 'string' ? email.trim().toLowerCase() : null;
+  },
+  // The session's device, or a hash of the presented device traits
+  device: (req) => {
+    if (req.authSession) return req.authSession.deviceId;
+    return generateDeviceFingerprint(req, 'rate-limit').deviceId;
+  }
+};
+
+// Build a keyGenerator from a list of parts, e.g. ['ip', 'account']
+const createKeyGenerator = (parts) => {
+  const unknown = parts.filter(part => !KEY_PARTS[part]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown rate limit key part(s): ${unknown.join(', ')}`);
+  }
+
+  return (req) => parts
+    .map(part => `${part}:${KEY_PARTS[part](req) || '-'}`)
+    .join('|');
+};
+
+// Counters live in MongoDB (shared by all instances) unless RATE_LIMIT_STORE=memory
+const createStore = (prefix) => (
+  config.RATE_LIMIT_STORE === 'memory' ? undefined : new MongoRateLimitStore({ prefix })
+);
 
 // General rate limiter
 const generalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  max: 100, // limit each key to 100 requests per windowMs
   message: {
     success: false,
     message: 'Too many requests from this IP, please try again later.'
   },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  store: createStore('rl:general:'),
+  keyGenerator: createKeyGenerator(config.RATE_LIMIT_KEYS_GENERAL)
 });
 
-// Auth rate limiter (stricter for login/register)
+// Auth rate limiter (stricter for login/register). Kept loose enough for many users
+// behind one NAT; brute force against one account is stopped by the per-account lockout.
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // limit each IP to 5 auth requests per windowMs
+  max: config.AUTH_RATE_LIMIT_MAX, // failed auth requests per key per windowMs
   message: {
     success: false,
     message: 'Too many authentication attempts, please try again later.'
   },
   standardHeaders: true,
   legacyHeaders: false,
-  skipSuccessfulRequests: true
+  skipSuccessfulRequests: true,
+  store: createStore('rl:auth:'),
+  keyGenerator: createKeyGenerator(config.RATE_LIMIT_KEYS_AUTH)
 });
 
 // Device change request limiter
 const deviceChangeLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
-  max: 3, // limit each IP to 3 device change requests per hour
+  max: 3, // limit each key to 3 device change requests per hour
   message: {
     success: false,
     message: 'Too many device change requests, please try again later.'
-  }
+  },
+  store: createStore('rl:device-change:'),
+  keyGenerator: createKeyGenerator(config.RATE_LIMIT_KEYS_DEVICE_CHANGE)
 });
 
 module.exports = {
   generalLimiter,
   authLimiter,
-  deviceChangeLimiter
+  deviceChangeLimiter,
+  createKeyGenerator
 };
-
@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+const ACCESS_SCHEDULE_MESSAGES = {
+  OUTSIDE_ACCESS_WINDOW: 'Your account can only be used during its scheduled access hours.'
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// A window such as { days: ['mon', 'tue'], start: '08:00', end: '18:00' }.
+// An end before the start runs past midnight into the next day.
+const accessWindowSchema = new mongoose.Schema({
+  days: {
+    type: [{
+      type: String,
+      enum: DAY_NAMES,
+      lowercase: true,
+      trim: true
+    }],
+    validate: [days => days.length > 0, 'A window needs at least one day']
+  },
+  start: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Times must be HH:MM']
+  },
+  end: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Times must be HH:MM']
+  }
+}, { _id: false });
+
+// When a user, or the members of a role, may sign in and use their sessions.
+// A user's own schedule replaces the schedules of their roles; with several role
+// schedules, being inside a window of any of them is enough.
+const accessScheduleSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['user', 'role'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  role: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role',
+    default: null
+  },
+  // IANA time zone the windows are written in, e.g. Europe/Berlin
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: [isValidTimezone, 'Unknown time zone']
+  },
+  windows: {
+    type: [accessWindowSchema],
+    validate: [windows => windows.length > 0, 'At least one access window is required']
+  },
+  description: {
+    type: String,
+    maxlength: 200
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+accessScheduleSchema.index({ scope: 1, user: 1, role: 1 }, { unique: true });
+
+// Day of the week and minute of the day in the schedule's time zone
+accessScheduleSchema.methods.getLocalTime = function(now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: this.timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+  const part = (type) => parts.find(item => item.type === type).value;
+
+  return {
+    day: DAY_NAMES.indexOf(part('weekday').toLowerCase()),
+    minutes: Number(part('hour')) * 60 + Number(part('minute'))
+  };
+};
+
+// Check whether a moment falls inside one of the windows
+accessScheduleSchema.methods.isOpen = function(now = new Date()) {
+  const { day, minutes } = this.getLocalTime(now);
+  const today = DAY_NAMES[day];
+  const yesterday = DAY_NAMES[(day + 6) % 7];
+
+  return this.windows.some(window => {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    if (start < end) {
+      return window.days.includes(today) && minutes >= start && minutes < end;
+    }
+    // Overnight window: the evening of a listed day or the morning after it
+    return (window.days.includes(today) && minutes >= start) ||
+      (window.days.includes(yesterday) && minutes < end);
+  });
+};
+
+// Schedules that apply to a user (roles must be loaded or populated)
+accessScheduleSchema.statics.findForUser = async function(user) {
+  const roleIds = (user.roles || []).map(role => role._id || role);
+  const schedules = await this.find({
+    isActive: true,
+    $or: [
+      { scope: 'user', user: user._id },
+      { scope: 'role', role: { $in: roleIds } }
+    ]
+  });
+
+  const own = schedules.filter(schedule => schedule.scope === 'user');
+  return own.length > 0 ? own : schedules;
+};
+
+// Check whether a user may sign in or use a session right now
+// Returns { allowed, schedules } where schedules are the ones that applied
+accessScheduleSchema.statics.checkAccess = async function(user, now = new Date()) {
+  const schedules = await this.findForUser(user);
+
+  return {
+    allowed: schedules.length === 0 || schedules.some(schedule => schedule.isOpen(now)),
+    schedules
+  };
+};
+
+// Create or replace the schedule of a user or role
+accessScheduleSchema.statics.upsert = async function(filter, { timezone, windows, description, isActive }, updatedBy) {
+  const schedule = await this.findOne(filter) || new this(filter);
+
+  if (timezone !== undefined) schedule.timezone = timezone;
+  if (windows !== undefined) schedule.windows = windows;
+  if (description !== undefined) schedule.description = description;
+  if (isActive !== undefined) schedule.isActive = isActive;
+  schedule.updatedBy = updatedBy;
+
+  return schedule.save();
+};
+
+// What a client is told when it is outside its windows
+accessScheduleSchema.statics.describe = function(schedules) {
+  return schedules.map(schedule => ({
+    timezone: schedule.timezone,
+    windows: schedule.windows.map(({ days, start, end }) => ({ days, start, end }))
+  }));
+};
+
+const AccessSchedule = mongoose.model('AccessSchedule', accessScheduleSchema);
+
+module.exports = AccessSchedule;
+module.exports.ACCESS_SCHEDULE_MESSAGES = ACCESS_SCHEDULE_MESSAGES;
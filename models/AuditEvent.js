@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const auditEventSchema = new mongoose.Schema({
+  // e.g. auth.login, device.registered, request.approved, user.deactivated
+  action: {
+    type: String,
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  // Who performed the action (null for anonymous attempts)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Which account the action was about
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeviceChangeRequest'
+  },
+  ipAddress: String,
+  userAgent: String,
+  deviceId: String,
+  fingerprint: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Suspicion score of the request's device traits (see utils/fingerprintConsistency)
+  suspicion: {
+    score: Number,
+    action: String,
+    flags: [String]
+  },
+  // Risk assessment of a sign-in (see utils/loginRisk)
+  risk: {
+    score: Number,
+    action: String,
+    signals: [String]
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for efficient queries
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ target: 1, createdAt: -1 });
+auditEventSchema.index({ 'risk.action': 1, createdAt: -1 });
+
+// Record an event with the request's network and device context.
+// Failures are logged, never thrown: auditing must not break authentication.
+auditEventSchema.statics.record = async function(req, event) {
+  try {
+    const { generateDeviceFingerprint } = require('../utils/deviceFingerprint');
+    const { analyzeFingerprintConsistency, summarizeSuspicion } = require('../utils/fingerprintConsistency');
+    const subject = event.target || event.actor;
+    const { deviceId, stableFingerprint } = generateDeviceFingerprint(req, subject || 'anonymous');
+    // The request only comes from the subject's device when they act on themselves
+    const actsOnSelf = !event.actor || !event.target || String(event.actor) === String(event.target);
+
+    return await this.create({
+      ...event,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent') || '',
+      deviceId: event.deviceId || (subject && actsOnSelf ? deviceId : undefined),
+      fingerprint: stableFingerprint,
+      suspicion: summarizeSuspicion(analyzeFingerprintConsistency(req)),
+      // Set by the login route once the sign-in has been scored
+      risk: event.risk || req.loginRisk
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const CHALLENGE_TTL_MS = 2 * 60 * 1000; // 2 minutes
+
+// A single-use server nonce that a device signs with its device key or passkey
+const deviceChallengeSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['device-key', 'webauthn-registration', 'webauthn-authentication'],
+    default: 'device-key'
+  },
+  // Set when the challenge was issued for a known user
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for efficient queries
+deviceChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Issue a fresh challenge
+deviceChallengeSchema.statics.issue = function({ purpose = 'device-key', user = null } = {}) {
+  return this.create({
+    nonce: crypto.randomBytes(32).toString('base64url'),
+    purpose,
+    user,
+    expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS)
+  });
+};
+
+// Mark a challenge as used, failing if it is unknown, expired, already used or issued for another purpose
+deviceChallengeSchema.statics.consume = function(challengeId, purpose = 'device-key') {
+  if (!mongoose.Types.ObjectId.isValid(challengeId)) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOneAndUpdate(
+    { _id: challengeId, purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('DeviceChallenge', deviceChallengeSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const QUOTA_ERROR_CODES = ['TOO_MANY_PENDING_REQUESTS', 'DEVICE_CHANGE_QUOTA_EXCEEDED'];
+
 const deviceChangeRequestSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -28,10 +31,25 @@ const deviceChangeRequestSchema = new mongoose.Schema({
     platform: String,
     location: String
   },
+  // Stable fingerprint of the new device, stored on the device when approved
+  newDeviceFingerprint: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Suspicion score of the new device's traits (see utils/fingerprintConsistency)
+  suspicion: {
+    score: Number,
+    action: String,
+    flags: [String]
+  },
   currentDeviceInfo: {
     userAgent: String,
     ipAddress: String,
-    platform: String
+    platform: String,
+    location: String
+  },
+  twoFactorVerified: {
+    type: Boolean,
+    default: false
   },
   status: {
     type: String,
@@ -49,6 +67,14 @@ const deviceChangeRequestSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  approvalMethod: {
+    type: String,
+    enum: ['admin', 'recovery-code', 'device-pairing']
+  },
+  selfApproved: {
+    type: Boolean,
+    default: false
+  },
   reason: {
     type: String,
     maxlength: 500
@@ -65,5 +91,125 @@ const deviceChangeRequestSchema = new mongoose.Schema({
 deviceChangeRequestSchema.index({ user: 1, status: 1 });
 deviceChangeRequestSchema.index({ status: 1, requestedAt: -1 });
 
+// Device change quota usage of a user under their effective device policy
+deviceChangeRequestSchema.statics.getQuotaUsage = async function(userId, policy) {
+  const windowMs = policy.deviceChangeWindowDays * DAY_MS;
+  const [pending, approved] = await Promise.all([
+    this.countDocuments({ user: userId, status: 'pending' }),
+    this.find({ user: userId, status: 'approved', reviewedAt: { $gte: new Date(Date.now() - windowMs) } })
+      .select('reviewedAt')
+      .sort({ reviewedAt: 1 })
+  ]);
+
+  // Once the quota is used up, the next change is possible when enough old ones leave the window
+  const overQuota = approved.length - policy.maxDeviceChanges;
+  const nextChangeAt = overQuota >= 0 && approved.length > 0
+    ? new Date(approved[overQuota].reviewedAt.getTime() + windowMs)
+    : null;
+
+  return {
+    pendingRequests: pending,
+    maxPendingRequests: policy.maxPendingRequests,
+    deviceChanges: approved.length,
+    maxDeviceChanges: policy.maxDeviceChanges,
+    windowDays: policy.deviceChangeWindowDays,
+    nextChangeAt
+  };
+};
+
+// Check the quotas before a request is created or a device change completes.
+// Throws TOO_MANY_PENDING_REQUESTS (only with checkPending) or DEVICE_CHANGE_QUOTA_EXCEEDED
+// with status 429 and the usage in error.quota; returns the usage otherwise.
+deviceChangeRequestSchema.statics.assertWithinQuota = async function(userId, policy, { checkPending = true } = {}) {
+  const quota = await this.getQuotaUsage(userId, policy);
+
+  let error = null;
+  if (checkPending && quota.pendingRequests >= quota.maxPendingRequests) {
+    error = new Error(`You already have ${quota.pendingRequests} pending device change request(s). Wait for a decision before requesting another.`);
+    error.code = 'TOO_MANY_PENDING_REQUESTS';
+  } else if (quota.deviceChanges >= quota.maxDeviceChanges) {
+    error = new Error(`Device change quota reached (${quota.maxDeviceChanges} per ${quota.windowDays} days).`);
+    error.code = 'DEVICE_CHANGE_QUOTA_EXCEEDED';
+  }
+
+  if (error) {
+    error.status = 429;
+    error.quota = quota;
+    throw error;
+  }
+  return quota;
+};
+
+// Data sent to webhook subscribers
+deviceChangeRequestSchema.methods.toWebhookPayload = function() {
+  return {
+    requestId: this._id,
+    userId: this.user,
+    username: this.username,
+    email: this.email,
+    status: this.status,
+    currentDeviceId: this.currentDeviceId,
+    newDeviceId: this.newDeviceId,
+    newDeviceInfo: this.newDeviceInfo,
+    suspicion: this.suspicion,
+    reason: this.reason,
+    requestedAt: this.requestedAt,
+    reviewedAt: this.reviewedAt,
+    reviewedBy: this.reviewedBy,
+    approvalMethod: this.approvalMethod,
+    selfApproved: this.selfApproved
+  };
+};
+
+// Approve the request and move the user onto the new device.
+// Throws DEVICE_LIMIT_REACHED (before changing anything) if the user's device policy rejects it.
+deviceChangeRequestSchema.methods.approve = async function({ reviewedBy, adminNotes, approvalMethod = 'admin' } = {}) {
+  const User = require('./User');
+  const Session = require('./Session');
+  const DevicePolicy = require('./DevicePolicy');
+
+  const user = await User.findById(this.user);
+  let removedDeviceIds = [];
+  if (user) {
+    const policy = await DevicePolicy.resolveForUser(user._id);
+    removedDeviceIds = user.addDeviceWithinPolicy({
+      deviceId: this.newDeviceId,
+      deviceInfo: {
+        userAgent: this.newDeviceInfo.userAgent,
+        ipAddress: this.newDeviceInfo.ipAddress,
+        platform: this.newDeviceInfo.platform,
+        location: this.newDeviceInfo.location
+      },
+      fingerprint: this.newDeviceFingerprint
+    }, policy);
+  }
+
+  this.status = 'approved';
+  this.reviewedAt = new Date();
+  this.reviewedBy = reviewedBy;
+  this.adminNotes = adminNotes;
+  this.approvalMethod = approvalMethod;
+  this.selfApproved = approvalMethod !== 'admin';
+  await this.save();
+
+  if (!user) {
+    return null;
+  }
+
+  await user.save();
+
+  // Tokens issued to replaced devices must stop working
+  if (removedDeviceIds.length > 0) {
+    await Session.revokeForUser(user._id, {
+      reason: 'device-replaced',
+      revokedBy: reviewedBy,
+      deviceId: removedDeviceIds
+    });
+  }
+
+  return user;
+};
+
 module.exports = mongoose.model('DeviceChangeRequest', deviceChangeRequestSchema);
+module.exports.QUOTA_ERROR_CODES = QUOTA_ERROR_CODES;
 
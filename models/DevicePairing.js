@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Unambiguous characters only (no 0/O, 1/I/L) so codes are easy to type
+const PAIRING_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const PAIRING_CODE_LENGTH = 8;
+const PAIRING_CODE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+const hashPairingCode = (code) => {
+  const normalized = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// A short-lived offer from a new device to take over the account,
+// confirmed from the currently registered device
+const devicePairingSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  newDeviceId: {
+    type: String,
+    required: true
+  },
+  newDeviceInfo: {
+    userAgent: String,
+    ipAddress: String,
+    platform: String,
+    location: String
+  },
+  newDeviceFingerprint: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Suspicion score of the new device's traits (see utils/fingerprintConsistency)
+  suspicion: {
+    score: Number,
+    action: String,
+    flags: [String]
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  confirmedAt: {
+    type: Date,
+    default: null
+  },
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeviceChangeRequest'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+devicePairingSchema.index({ user: 1, codeHash: 1 });
+devicePairingSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Start a pairing for a new device, replacing any earlier offer from it.
+// Returns the pairing and the plain code (only hashes are stored).
+devicePairingSchema.statics.createForDevice = async function(userId, newDeviceId, newDeviceInfo, newDeviceFingerprint, suspicion) {
+  await this.deleteMany({ user: userId, newDeviceId, confirmedAt: null });
+
+  let code = '';
+  const bytes = crypto.randomBytes(PAIRING_CODE_LENGTH);
+  for (const byte of bytes) {
+    code += PAIRING_CODE_ALPHABET[byte % PAIRING_CODE_ALPHABET.length];
+  }
+  code = `${code.slice(0, 4)}-${code.slice(4)}`;
+
+  const pairing = await this.create({
+    user: userId,
+    newDeviceId,
+    newDeviceInfo,
+    newDeviceFingerprint,
+    suspicion,
+    codeHash: hashPairingCode(code),
+    expiresAt: new Date(Date.now() + PAIRING_CODE_TTL_MS)
+  });
+
+  return { pairing, code };
+};
+
+// Find an unconfirmed, unexpired pairing of a user by its code
+devicePairingSchema.statics.findActiveByCode = function(userId, code) {
+  return this.findOne({
+    user: userId,
+    codeHash: hashPairingCode(code),
+    confirmedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('DevicePairing', devicePairingSchema);
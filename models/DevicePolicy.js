@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const { parseCidr } = require('../utils/ipAddress');
+
+const POLICY_FIELDS = [
+  'maxDevices',
+  'requireApproval',
+  'allowConcurrentSessions',
+  'onLimitReached',
+  'maxPendingRequests',
+  'maxDeviceChanges',
+  'deviceChangeWindowDays',
+  'allowedCountries',
+  'blockedCountries',
+  'allowedIpRanges',
+  'blockedIpRanges'
+];
+
+// Fields users may see of their own effective policy; the country and IP lists stay admin-only
+const USER_VISIBLE_FIELDS = [
+  'maxDevices',
+  'requireApproval',
+  'allowConcurrentSessions',
+  'onLimitReached',
+  'maxPendingRequests',
+  'maxDeviceChanges',
+  'deviceChangeWindowDays'
+];
+
+// Deny lists add up across defaults, global policy and user override instead of replacing
+// each other, so an override can't unblock what is blocked globally
+const MERGED_FIELDS = ['blockedCountries', 'blockedIpRanges'];
+
+const COUNTRY_CODE = /^[A-Z]{2}$/;
+const normalizeCountries = (codes) => (
+  codes ? [].concat(codes).map(code => String(code).trim().toUpperCase()) : codes
+);
+const normalizeIpRanges = (ranges) => (
+  ranges ? [].concat(ranges).map(range => String(range).trim()) : ranges
+);
+const ipRangeListValidator = [ranges => ranges.every(range => parseCidr(range)), 'IP ranges must be addresses or CIDR blocks'];
+const countryListValidator = [codes => codes.every(code => COUNTRY_CODE.test(code)), 'Countries must be ISO 3166-1 alpha-2 codes'];
+
+// One global policy document plus optional per-user overrides.
+// Unset fields inherit: user override -> global policy -> config defaults (deny lists merge).
+const devicePolicySchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['global', 'user'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Maximum number of registered devices
+  maxDevices: {
+    type: Number,
+    min: 1,
+    default: undefined
+  },
+  // Whether new devices need an approved device change request
+  // (otherwise logged-in users may register additional devices themselves)
+  requireApproval: {
+    type: Boolean,
+    default: undefined
+  },
+  // Whether sessions on different devices may be active at the same time
+  allowConcurrentSessions: {
+    type: Boolean,
+    default: undefined
+  },
+  // What happens when a new device would exceed maxDevices
+  onLimitReached: {
+    type: String,
+    enum: ['replace-oldest', 'reject'],
+    default: undefined
+  },
+  // Device change quotas: open requests at a time, and completed changes per rolling window
+  maxPendingRequests: {
+    type: Number,
+    min: 1,
+    default: undefined
+  },
+  maxDeviceChanges: {
+    type: Number,
+    min: 0,
+    default: undefined
+  },
+  deviceChangeWindowDays: {
+    type: Number,
+    min: 1,
+    default: undefined
+  },
+  // Countries (ISO 3166-1 alpha-2) sign-ins may come from; an empty allow list allows all
+  allowedCountries: {
+    type: [String],
+    set: normalizeCountries,
+    validate: countryListValidator,
+    default: undefined
+  },
+  blockedCountries: {
+    type: [String],
+    set: normalizeCountries,
+    validate: countryListValidator,
+    default: undefined
+  },
+  // Addresses or CIDR blocks (IPv4 or IPv6); an empty allow list allows all
+  allowedIpRanges: {
+    type: [String],
+    set: normalizeIpRanges,
+    validate: ipRangeListValidator,
+    default: undefined
+  },
+  blockedIpRanges: {
+    type: [String],
+    set: normalizeIpRanges,
+    validate: ipRangeListValidator,
+    default: undefined
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+devicePolicySchema.index({ scope: 1, user: 1 }, { unique: true });
+
+// Policy used when nothing is stored in the database
+devicePolicySchema.statics.getDefaults = function() {
+  return {
+    maxDevices: config.DEVICE_POLICY_MAX_DEVICES,
+    requireApproval: config.DEVICE_POLICY_REQUIRE_APPROVAL,
+    allowConcurrentSessions: config.DEVICE_POLICY_ALLOW_CONCURRENT_SESSIONS,
+    onLimitReached: config.DEVICE_POLICY_ON_LIMIT_REACHED,
+    maxPendingRequests: config.DEVICE_POLICY_MAX_PENDING_REQUESTS,
+    maxDeviceChanges: config.DEVICE_POLICY_MAX_DEVICE_CHANGES,
+    deviceChangeWindowDays: config.DEVICE_POLICY_DEVICE_CHANGE_WINDOW_DAYS,
+    allowedCountries: config.DEVICE_POLICY_ALLOWED_COUNTRIES,
+    blockedCountries: config.DEVICE_POLICY_BLOCKED_COUNTRIES,
+    allowedIpRanges: config.DEVICE_POLICY_ALLOWED_IP_RANGES,
+    blockedIpRanges: config.DEVICE_POLICY_BLOCKED_IP_RANGES
+  };
+};
+
+// Resolve the effective policy of a user
+devicePolicySchema.statics.resolveForUser = async function(userId) {
+  const [globalPolicy, userPolicy] = await Promise.all([
+    this.findOne({ scope: 'global' }),
+    userId ? this.findOne({ scope: 'user', user: userId }) : null
+  ]);
+
+  const effective = this.getDefaults();
+  for (const policy of [globalPolicy, userPolicy]) {
+    if (!policy) continue;
+    POLICY_FIELDS.forEach(field => {
+      if (policy[field] === undefined || policy[field] === null) return;
+      effective[field] = MERGED_FIELDS.includes(field)
+        ? [...new Set([...effective[field], ...policy[field]])]
+        : policy[field];
+    });
+  }
+
+  return effective;
+};
+
+// The part of an effective policy shown to the user it applies to
+devicePolicySchema.statics.toUserView = function(policy) {
+  const view = {};
+  USER_VISIBLE_FIELDS.forEach(field => {
+    view[field] = policy[field];
+  });
+  return view;
+};
+
+// Create or update the global policy or a user's override
+devicePolicySchema.statics.upsert = async function(userId, values, updatedBy) {
+  const filter = userId ? { scope: 'user', user: userId } : { scope: 'global', user: null };
+  const policy = await this.findOne(filter) || new this(filter);
+
+  POLICY_FIELDS.forEach(field => {
+    if (values[field] !== undefined) {
+      // null clears the field so it is inherited again
+      policy[field] = values[field] === null ? undefined : values[field];
+    }
+  });
+  policy.updatedBy = updatedBy;
+
+  return policy.save();
+};
+
+const DevicePolicy = mongoose.model('DevicePolicy', devicePolicySchema);
+
+module.exports = DevicePolicy;
+module.exports.POLICY_FIELDS = POLICY_FIELDS;
+module.exports.USER_VISIBLE_FIELDS = USER_VISIBLE_FIELDS;
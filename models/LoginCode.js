@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const CODE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const MAX_ATTEMPTS = 5;
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// One-time e-mail code for a risky sign-in that needs a step-up
+const loginCodeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Device the sign-in was attempted from; the code only works there
+  deviceId: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the code, the code itself is only sent to the user
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when a sign-in admitted by this code issued a session
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for efficient queries
+loginCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginCodeSchema.index({ user: 1, createdAt: -1 });
+
+// Issue a 6-digit code, replacing the user's unverified codes for the same device
+loginCodeSchema.statics.issue = async function(userId, deviceId) {
+  await this.deleteMany({ user: userId, deviceId, verifiedAt: null });
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const loginCode = await this.create({
+    user: userId,
+    deviceId,
+    codeHash: hashCode(code),
+    expiresAt: new Date(Date.now() + CODE_TTL_MS)
+  });
+
+  return { loginCode, code };
+};
+
+// Check a code, failing if it is unknown, used, expired, issued for another device or guessed too often.
+// A correct code keeps working on its device until a sign-in with it completes (see consume),
+// so an attempt that stops short of a session (e.g. on an unregistered device, followed by
+// one with a recovery code) doesn't need a new code.
+loginCodeSchema.statics.verify = async function(codeId, userId, deviceId, code) {
+  if (!mongoose.Types.ObjectId.isValid(codeId) || typeof code !== 'string') {
+    return null;
+  }
+
+  const loginCode = await this.findOne({
+    _id: codeId,
+    user: userId,
+    deviceId,
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+    attempts: { $lt: MAX_ATTEMPTS }
+  });
+  if (!loginCode) {
+    return null;
+  }
+
+  const expected = Buffer.from(loginCode.codeHash);
+  const received = Buffer.from(hashCode(code.trim()));
+  if (!crypto.timingSafeEqual(expected, received)) {
+    await this.updateOne({ _id: loginCode._id }, { $inc: { attempts: 1 } });
+    return null;
+  }
+
+  if (!loginCode.verifiedAt) {
+    loginCode.verifiedAt = new Date();
+    await loginCode.save();
+  }
+  return loginCode;
+};
+
+// Use up a verified code once its sign-in completes, failing if another sign-in already did
+loginCodeSchema.statics.consume = async function(codeId) {
+  const loginCode = await this.findOneAndUpdate(
+    { _id: codeId, verifiedAt: { $ne: null }, usedAt: null },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+  if (!loginCode) {
+    const error = new Error('Step-up code has already been used.');
+    error.code = 'INVALID_STEP_UP_CODE';
+    throw error;
+  }
+  return loginCode;
+};
+
+module.exports = mongoose.model('LoginCode', loginCodeSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Hit counter of one rate-limit key for the current window, shared by all instances
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  // End of the window; MongoDB removes the counter afterwards
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Index for efficient queries
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Count a hit, starting a new window if the previous one has ended.
+// The TTL monitor only runs once a minute, so expired counters are reset here too.
+rateLimitCounterSchema.statics.hit = async function(key, windowMs) {
+  const now = new Date();
+  const isCurrent = { $gt: ['$expiresAt', now] };
+  const update = [{
+    $set: {
+      hits: { $cond: [isCurrent, { $add: ['$hits', 1] }, 1] },
+      expiresAt: { $cond: [isCurrent, '$expiresAt', new Date(now.getTime() + windowMs)] }
+    }
+  }];
+
+  try {
+    return await this.findOneAndUpdate({ key }, update, { upsert: true, new: true, setDefaultsOnInsert: false });
+  } catch (error) {
+    // Two instances creating the same counter at once: the loser retries as an update
+    if (error.code !== 11000) throw error;
+    return this.findOneAndUpdate({ key }, update, { new: true });
+  }
+};
+
+// Take back a hit (for skipSuccessfulRequests / skipFailedRequests)
+rateLimitCounterSchema.statics.unhit = function(key) {
+  return this.updateOne(
+    { key, hits: { $gt: 0 }, expiresAt: { $gt: new Date() } },
+    { $inc: { hits: -1 } }
+  );
+};
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Each document is one refresh token (its _id is the token's jti claim).
+// All refresh tokens sharing a session form a rotation family.
+const refreshTokenSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+refreshTokenSchema.index({ session: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Mark this token as used, failing if another request already consumed it
+refreshTokenSchema.statics.consume = function(tokenId) {
+  return this.findOneAndUpdate(
+    { _id: tokenId, usedAt: null },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Invalidate every outstanding token of a rotation family
+refreshTokenSchema.statics.revokeFamily = function(sessionId) {
+  return this.updateMany(
+    { session: sessionId, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
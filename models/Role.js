@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Every permission that can be granted through a role
+const PERMISSIONS = [
+  'admin:access',
+  'requests:read',
+  'requests:approve',
+  'requests:reject',
+  'users:read',
+  'users:deactivate',
+  'users:unlock',
+  'sessions:revoke',
+  'devices:revoke',
+  'devices:manage',
+  'devices:bypass',
+  'roles:manage',
+  'audit:read',
+  'webhooks:manage',
+  'policies:manage',
+  'schedules:manage'
+];
+
+// Roles created on startup; they cannot be deleted
+const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full administrative access',
+    permissions: PERMISSIONS
+  },
+  {
+    name: 'user',
+    description: 'Regular user',
+    permissions: []
+  }
+];
+
+const DEFAULT_USER_ROLE = 'user';
+const ADMIN_ROLE = 'admin';
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    minlength: 2,
+    maxlength: 30,
+    match: [/^[a-z0-9_-]+$/, 'Role name may only contain letters, numbers, dashes and underscores']
+  },
+  description: {
+    type: String,
+    maxlength: 200
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: PERMISSIONS
+    }],
+    default: []
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Create the built-in roles if they don't exist yet
+roleSchema.statics.ensureDefaults = async function() {
+  for (const role of DEFAULT_ROLES) {
+    const existing = await this.findOne({ name: role.name });
+    if (!existing) {
+      await this.create({ ...role, isSystem: true });
+    } else if (role.name === ADMIN_ROLE) {
+      // Keep the admin role in sync with newly added permissions
+      existing.permissions = PERMISSIONS;
+      await existing.save();
+    }
+  }
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
+module.exports.PERMISSIONS = PERMISSIONS;
+module.exports.DEFAULT_USER_ROLE = DEFAULT_USER_ROLE;
+module.exports.ADMIN_ROLE = ADMIN_ROLE;
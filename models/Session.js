@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    default: null
+  },
+  ipAddress: String,
+  userAgent: String,
+  // Where the sign-in came from (see utils/geoip), for impossible-travel checks
+  location: {
+    country: String,
+    city: String,
+    latitude: Number,
+    longitude: Number
+  },
+  twoFactorVerified: {
+    type: Boolean,
+    default: false
+  },
+  lastSeen: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedReason: {
+    type: String,
+    maxlength: 200
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ user: 1, createdAt: -1 });
+// Let MongoDB drop sessions once their token could no longer be used anyway
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if the session can still authenticate requests
+sessionSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke this session
+sessionSchema.methods.revoke = function(reason, revokedBy) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  if (revokedBy) {
+    this.revokedBy = revokedBy;
+  }
+  return this.save();
+};
+
+// Revoke every active session of a user, optionally limited by extra conditions
+// (deviceId may be a single id or a list of ids)
+sessionSchema.statics.revokeForUser = function(userId, { reason, revokedBy, deviceId, exceptDeviceId, exceptSessionId } = {}) {
+  const query = { user: userId, revokedAt: null };
+  if (deviceId) {
+    query.deviceId = Array.isArray(deviceId) ? { $in: deviceId } : deviceId;
+  } else if (exceptDeviceId) {
+    query.deviceId = { $ne: exceptDeviceId };
+  }
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const update = { revokedAt: new Date(), revokedReason: reason };
+  if (revokedBy) {
+    update.revokedBy = revokedBy;
+  }
+
+  return this.updateMany(query, { $set: update });
+};
+
+// Location and time of a user's most recent sign-in with a known location
+sessionSchema.statics.findLastLogin = async function(userId) {
+  const session = await this.findOne({ user: userId, 'location.latitude': { $ne: null } })
+    .sort({ createdAt: -1 })
+    .select('location createdAt');
+
+  return session ? { location: session.location, at: session.createdAt } : null;
+};
+
+// Point a user's sessions at a re-keyed device
+sessionSchema.statics.rekeyDevice = function(userId, oldDeviceId, newDeviceId) {
+  return this.updateMany(
+    { user: userId, deviceId: oldDeviceId, revokedAt: null },
+    { $set: { deviceId: newDeviceId } }
+  );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
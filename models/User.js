@@ -1,5 +1,20 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const config = require('../config');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are 40 random bits each, so a fast hash is sufficient
+const hashRecoveryCode = (code) => {
+  const normalized = String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+const LOGIN_THROTTLE_MESSAGES = {
+  ACCOUNT_LOCKED: 'Account temporarily locked after too many failed sign-ins. Try again later or contact an administrator.',
+  LOGIN_BACKOFF: 'Too many failed sign-ins. Please wait before trying again.'
+};
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -23,22 +38,38 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
-  role: {
-    type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
-  },
+  roles: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role'
+  }],
   isActive: {
     type: Boolean,
     default: true
   },
   registeredDevices: [{
     deviceId: String,
+    // Friendly name the user gave the device
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 50
+    },
     deviceInfo: {
       userAgent: String,
       ipAddress: String,
-      platform: String
+      platform: String,
+      location: String
     },
+    // Full stable fingerprint, used to recognize the device when some traits change
+    fingerprint: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    // Public key (JWK) of the device's WebCrypto key pair; once set, the device
+    // must sign a server challenge instead of relying on its fingerprint alone
+    publicKey: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    keyEnrolledAt: Date,
     registeredAt: {
       type: Date,
       default: Date.now
@@ -48,6 +79,34 @@ const userSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // WebAuthn credentials (passkeys), each bound to one registered device
+  webauthnCredentials: [{
+    credentialId: {
+      type: String,
+      required: true
+    },
+    deviceId: {
+      type: String,
+      required: true
+    },
+    publicKey: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    alg: Number,
+    signCount: {
+      type: Number,
+      default: 0
+    },
+    transports: [String],
+    aaguid: String,
+    name: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastUsedAt: Date
+  }],
   currentDeviceId: {
     type: String,
     default: null
@@ -55,11 +114,75 @@ const userSchema = new mongoose.Schema({
   lastKnownIP: {
     type: String,
     default: null
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Secrets are never returned unless explicitly selected
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    enabledAt: Date,
+    lastUsedStep: {
+      type: Number,
+      default: null
+    }
+  },
+  recoveryCodes: {
+    type: [{
+      codeHash: String,
+      usedAt: {
+        type: Date,
+        default: null
+      }
+    }],
+    select: false
+  },
+  // Failed sign-ins of this account, for back-off and temporary lockout
+  loginLockout: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: Date,
+    lockedUntil: Date,
+    lastLockedAt: Date
   }
 }, {
   timestamps: true
 });
 
+// Delay before the next sign-in attempt after a number of consecutive failures:
+// none for the first LOGIN_BACKOFF_FREE_ATTEMPTS, then doubling up to LOGIN_BACKOFF_MAX_MS
+const getLoginBackoffMs = (failedAttempts) => {
+  const excess = failedAttempts - config.LOGIN_BACKOFF_FREE_ATTEMPTS;
+  if (excess <= 0) return 0;
+  return Math.min(config.LOGIN_BACKOFF_MAX_MS, config.LOGIN_BACKOFF_BASE_MS * 2 ** (excess - 1));
+};
+
+// Give new users the default role
+userSchema.pre('save', async function(next) {
+  if (!this.isNew || this.roles.length > 0) return next();
+
+  try {
+    const Role = require('./Role');
+    const defaultRole = await Role.findOne({ name: Role.DEFAULT_USER_ROLE });
+    if (defaultRole) {
+      this.roles.push(defaultRole._id);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -96,22 +219,80 @@ userSchema.methods.getDeviceFingerprint = function(req) {
   return generateDeviceFingerprint(req, this._id);
 };
 
+// Move a registered device to the current request's device id when the id changed only
+// because of volatile traits (browser updates) or a fingerprint version bump.
+// Returns { oldDeviceId, newDeviceId, reason, changedTraits } or null; the caller saves.
+userSchema.methods.rekeyDevice = function(req) {
+  const { findRekeyableDevice, generateLegacyDeviceId } = require('../utils/deviceFingerprint');
+  const current = this.getDeviceFingerprint(req);
+
+  if (this.isDeviceRegistered(current.deviceId)) {
+    return null;
+  }
+
+  const match = findRekeyableDevice(current, this.registeredDevices, generateLegacyDeviceId(req, this._id));
+  if (!match) {
+    return null;
+  }
+
+  const oldDeviceId = match.device.deviceId;
+  match.device.deviceId = current.deviceId;
+  match.device.fingerprint = current.stableFingerprint;
+  match.device.lastUsed = new Date();
+  if (this.currentDeviceId === oldDeviceId) {
+    this.currentDeviceId = current.deviceId;
+  }
+  // Passkeys stay bound to the device
+  this.webauthnCredentials.forEach(credential => {
+    if (credential.deviceId === oldDeviceId) {
+      credential.deviceId = current.deviceId;
+    }
+  });
+
+  return {
+    oldDeviceId,
+    newDeviceId: current.deviceId,
+    reason: match.reason,
+    changedTraits: match.changedTraits
+  };
+};
+
+// Get a stored WebAuthn credential by its base64url id
+userSchema.methods.getWebAuthnCredential = function(credentialId) {
+  return this.webauthnCredentials.find(credential => credential.credentialId === credentialId);
+};
+
+// Get a registered device entry
+userSchema.methods.getRegisteredDevice = function(deviceId) {
+  return this.registeredDevices.find(device => device.deviceId === deviceId);
+};
+
 // Check if device is registered
 userSchema.methods.isDeviceRegistered = function(deviceId) {
   return this.registeredDevices.some(device => device.deviceId === deviceId);
 };
 
-// Register new device
-userSchema.methods.registerDevice = function(deviceId, req) {
-  const deviceInfo = {
+// Device information recorded for a registered device
+userSchema.statics.getDeviceInfo = function(req) {
+  const { lookupIp, formatLocation } = require('../utils/geoip');
+  const ipAddress = req.ip || req.connection.remoteAddress;
+
+  return {
     userAgent: req.get('User-Agent') || '',
-    ipAddress: req.ip || req.connection.remoteAddress,
-    platform: req.get('sec-ch-ua-platform') || 'Unknown'
+    ipAddress,
+    platform: req.get('sec-ch-ua-platform') || 'Unknown',
+    location: formatLocation(lookupIp(ipAddress))
   };
+};
+
+// Register new device
+userSchema.methods.registerDevice = function(deviceId, req) {
+  const deviceInfo = this.constructor.getDeviceInfo(req);
 
   this.registeredDevices.push({
     deviceId,
     deviceInfo,
+    fingerprint: this.getDeviceFingerprint(req).stableFingerprint,
     registeredAt: new Date(),
     lastUsed: new Date()
   });
@@ -120,58 +301,248 @@ userSchema.methods.registerDevice = function(deviceId, req) {
   return this.save();
 };
 
-// Update device last used time
-userSchema.methods.updateDeviceLastUsed = function(deviceId) {
+// Update device last used time, storing the fingerprint if the device predates full fingerprints
+userSchema.methods.updateDeviceLastUsed = function(deviceId, fingerprint) {
   const device = this.registeredDevices.find(d => d.deviceId === deviceId);
   if (device) {
     device.lastUsed = new Date();
+    if (fingerprint && !device.fingerprint) {
+      device.fingerprint = fingerprint;
+    }
     return this.save();
   }
   return Promise.resolve();
 };
 
-// Check if user is admin based on email
+// Remove a registered device and the passkeys bound to it, returning the removed entry
+// (the caller saves the user and revokes the device's sessions)
+userSchema.methods.removeDevice = function(deviceId) {
+  const device = this.getRegisteredDevice(deviceId);
+  if (!device) {
+    return null;
+  }
+
+  this.registeredDevices.pull(device._id);
+  this.webauthnCredentials = this.webauthnCredentials.filter(credential => credential.deviceId !== deviceId);
+
+  // Fall back to the most recently used remaining device
+  if (this.currentDeviceId === deviceId) {
+    const [latest] = [...this.registeredDevices].sort((a, b) => b.lastUsed - a.lastUsed);
+    this.currentDeviceId = latest ? latest.deviceId : null;
+  }
+  return device;
+};
+
+// Check whether a policy allows registering one more device
+userSchema.methods.canAddDevice = function(policy) {
+  return this.registeredDevices.length < policy.maxDevices || policy.onLimitReached === 'replace-oldest';
+};
+
+// Register a device ({ deviceId, deviceInfo, fingerprint }) within the limits of a device policy,
+// returning the ids of devices removed to make room (the caller saves the user and revokes their sessions)
+userSchema.methods.addDeviceWithinPolicy = function({ deviceId, deviceInfo, fingerprint }, policy) {
+  if (!this.canAddDevice(policy)) {
+    const error = new Error('Maximum number of registered devices reached.');
+    error.code = 'DEVICE_LIMIT_REACHED';
+    error.status = 409;
+    throw error;
+  }
+
+  // Least recently used devices make room first
+  const byLastUsed = [...this.registeredDevices].sort((a, b) => a.lastUsed - b.lastUsed);
+  const removedDeviceIds = byLastUsed
+    .slice(0, Math.max(0, this.registeredDevices.length - policy.maxDevices + 1))
+    .map(device => device.deviceId);
+
+  this.registeredDevices = this.registeredDevices.filter(
+    device => !removedDeviceIds.includes(device.deviceId)
+  );
+  this.webauthnCredentials = this.webauthnCredentials.filter(
+    credential => !removedDeviceIds.includes(credential.deviceId)
+  );
+
+  this.registeredDevices.push({
+    deviceId,
+    deviceInfo,
+    fingerprint,
+    registeredAt: new Date(),
+    lastUsed: new Date()
+  });
+
+  this.currentDeviceId = deviceId;
+  return removedDeviceIds;
+};
+
+// Generate a fresh set of single-use recovery codes; the plain codes are only returned here
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  this.recoveryCodes = codes.map(code => ({ codeHash: hashRecoveryCode(code) }));
+  return codes;
+};
+
+// Mark a recovery code as used (recoveryCodes must be selected; the caller saves the user)
+userSchema.methods.redeemRecoveryCode = function(code) {
+  const codeHash = hashRecoveryCode(code);
+  const entry = this.recoveryCodes.find(c => !c.usedAt && c.codeHash === codeHash);
+
+  if (!entry) {
+    return false;
+  }
+
+  entry.usedAt = new Date();
+  return true;
+};
+
+// Count recovery codes that have not been used (recoveryCodes must be selected)
+userSchema.methods.getRemainingRecoveryCodes = function() {
+  return this.recoveryCodes.filter(c => !c.usedAt).length;
+};
+
+// Verify a TOTP code against the active secret, rejecting replayed codes
+// (twoFactor.secret must be selected; the caller saves the user)
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  const { verifyCode } = require('../utils/totp');
+
+  if (!this.twoFactor.secret) {
+    throw new Error('Two-factor secret must be selected before verifying codes');
+  }
+
+  const step = verifyCode(this.twoFactor.secret, code);
+  if (step === null || (this.twoFactor.lastUsedStep !== null && step <= this.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Load role documents so permissions can be checked
+userSchema.methods.loadRoles = async function() {
+  if (!this.populated('roles')) {
+    await this.populate('roles');
+  }
+  return this;
+};
+
+// Get role documents, refusing to guess from unloaded ids
+userSchema.methods.getRoles = function() {
+  if (this.roles.length > 0 && !this.populated('roles')) {
+    throw new Error('User roles must be loaded before checking permissions');
+  }
+  return this.roles;
+};
+
+// Get the names of all roles (roles must be loaded)
+userSchema.methods.getRoleNames = function() {
+  return this.getRoles().map(role => role.name);
+};
+
+// Get the union of permissions granted by all roles (roles must be loaded)
+userSchema.methods.getPermissions = function() {
+  const permissions = new Set();
+  this.getRoles().forEach(role => {
+    role.permissions.forEach(permission => permissions.add(permission));
+  });
+  return [...permissions];
+};
+
+// Check if user has a permission (roles must be loaded)
+userSchema.methods.hasPermission = function(permission) {
+  return this.getRoles().some(role => role.permissions.includes(permission));
+};
+
+// Check if user can access the admin panel (roles must be loaded)
 userSchema.methods.isAdmin = function() {
-  // Define admin email addresses
-  const adminEmails = [
-    'admin@example.com',
-    'admin@singlelog.com',
-    'administrator@singlelog.com',
-    'admin2@example.com'
-  ];
-  
-  // Add environment variable admin emails if they exist
-  if (process.env.ADMIN_EMAIL) {
-    adminEmails.push(process.env.ADMIN_EMAIL);
+  return this.hasPermission('admin:access');
+};
+
+// Whether the account may attempt a sign-in now.
+// Returns null, or { code: 'ACCOUNT_LOCKED' | 'LOGIN_BACKOFF', retryAt }.
+userSchema.methods.getLoginThrottle = function(now = new Date()) {
+  const lockout = this.loginLockout || {};
+
+  if (lockout.lockedUntil && lockout.lockedUntil > now) {
+    return { code: 'ACCOUNT_LOCKED', retryAt: lockout.lockedUntil };
   }
-  
-  const isAdminEmail = adminEmails.includes(this.email.toLowerCase());
-  
-  // Update role field if this is an admin email but role is not set correctly
-  if (isAdminEmail && this.role !== 'admin') {
-    this.role = 'admin';
-    this.save().catch(err => console.error('Error updating user role:', err));
+
+  const delay = getLoginBackoffMs(lockout.failedAttempts || 0);
+  if (delay > 0 && lockout.lastFailedAt) {
+    const retryAt = new Date(lockout.lastFailedAt.getTime() + delay);
+    if (retryAt > now) {
+      return { code: 'LOGIN_BACKOFF', retryAt };
+    }
   }
-  
-  return isAdminEmail;
+
+  return null;
 };
 
-// Static method to check if an email belongs to an admin
-userSchema.statics.isAdminEmail = function(email) {
-  const adminEmails = [
-    'admin@example.com',
-    'admin@singlelog.com',
-    'administrator@singlelog.com',
-    'admin2@example.com'
-  ];
-  
-  // Add environment variable admin emails if they exist
-  if (process.env.ADMIN_EMAIL) {
-    adminEmails.push(process.env.ADMIN_EMAIL);
+// Lockout state shown to admins
+userSchema.methods.getLockoutState = function() {
+  const lockout = this.loginLockout || {};
+  const throttle = this.getLoginThrottle();
+
+  return {
+    locked: Boolean(throttle && throttle.code === 'ACCOUNT_LOCKED'),
+    failedAttempts: lockout.failedAttempts || 0,
+    lastFailedAt: lockout.lastFailedAt || null,
+    lockedUntil: lockout.lockedUntil || null,
+    lastLockedAt: lockout.lastLockedAt || null,
+    nextAttemptAt: throttle ? throttle.retryAt : null
+  };
+};
+
+// Count a failed sign-in and lock the account once LOGIN_LOCKOUT_THRESHOLD is reached (0 never locks).
+// Updates run in the database so concurrent attempts can't overwrite each other's count.
+userSchema.statics.recordLoginFailure = async function(userId) {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - config.LOGIN_FAILURE_WINDOW_MS);
+
+  // Failures older than the window no longer count
+  const user = await this.findOneAndUpdate({ _id: userId }, [{
+    $set: {
+      'loginLockout.failedAttempts': {
+        $cond: [
+          { $gt: ['$loginLockout.lastFailedAt', windowStart] },
+          { $add: [{ $ifNull: ['$loginLockout.failedAttempts', 0] }, 1] },
+          1
+        ]
+      },
+      'loginLockout.lastFailedAt': now
+    }
+  }], { new: true });
+
+  if (!user || config.LOGIN_LOCKOUT_THRESHOLD <= 0 || user.loginLockout.failedAttempts < config.LOGIN_LOCKOUT_THRESHOLD) {
+    return user;
   }
-  
-  return adminEmails.includes(email.toLowerCase());
+
+  // The count starts over once the lock expires
+  return this.findOneAndUpdate({ _id: userId }, {
+    $set: {
+      'loginLockout.failedAttempts': 0,
+      'loginLockout.lockedUntil': new Date(now.getTime() + config.LOGIN_LOCKOUT_DURATION_MS),
+      'loginLockout.lastLockedAt': now
+    }
+  }, { new: true });
+};
+
+// Clear failed sign-ins (after a successful one, or when an admin unlocks the account)
+userSchema.statics.resetLoginFailures = function(userId) {
+  return this.updateOne({ _id: userId }, {
+    $set: {
+      'loginLockout.failedAttempts': 0,
+      'loginLockout.lockedUntil': null
+    }
+  });
 };
 
+// Index for efficient queries
+userSchema.index({ 'webauthnCredentials.credentialId': 1 });
+
 module.exports = mongoose.model('User', userSchema);
+module.exports.LOGIN_THROTTLE_MESSAGES = LOGIN_THROTTLE_MESSAGES;
 
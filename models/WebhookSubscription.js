@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Events other systems can subscribe to
+const WEBHOOK_EVENTS = [
+  'device_change.requested',
+  'device_change.approved',
+  'device_change.rejected',
+  'user.activated',
+  'user.deactivated'
+];
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^https?:\/\/\S+$/, 'Webhook URL must be an http(s) URL']
+  },
+  description: {
+    type: String,
+    maxlength: 200
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_EVENTS
+    }],
+    validate: [events => events.length > 0, 'At least one event is required']
+  },
+  // Shared secret for HMAC signatures; only shown when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+webhookSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+// Generate a new signing secret
+webhookSubscriptionSchema.statics.generateSecret = function() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+};
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+module.exports = WebhookSubscription;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
@@ -0,0 +1,369 @@
+// Browser device fingerprint SDK
+//
+// Collects every trait the server's generateDeviceFingerprint reads, plus canvas,
+// WebGL and audio hashes, and sends them as headers on API requests:
+//
+//   <script src="/js/device-fingerprint.js"></script>
+//   const response = await DeviceFingerprint.fetch('/api/auth/me', { headers: { Authorization: ... } });
+//
+// DeviceFingerprint.getHeaders() returns the headers for use with other HTTP clients.
+//
+// Device keys (optional): DeviceFingerprint.configure({ deviceKeys: true }) makes the
+// wrapped fetch sign a fresh server challenge with this browser's non-extractable
+// ECDSA key and send it as X-Device-Proof. createDeviceKeyEnrollment() returns the
+// body for POST /api/auth/device-key.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DeviceFingerprint = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const KEY_DB_NAME = 'device-fingerprint';
+  const KEY_STORE_NAME = 'keys';
+  const DEVICE_KEY_ID = 'device-key';
+  const ECDSA_PARAMS = { name: 'ECDSA', namedCurve: 'P-256' };
+  const SIGN_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+  let cachedHeaders = null;
+  let options = {
+    deviceKeys: false,
+    challengeUrl: '/api/auth/device-key/challenge'
+  };
+
+  // Header values must be plain ASCII
+  function toHeaderValue(value) {
+    return String(value === undefined || value === null ? 'unknown' : value)
+      .replace(/[^\x20-\x7e]/g, '')
+      .slice(0, 256);
+  }
+
+  // 32-bit FNV-1a, used when WebCrypto is unavailable (insecure origins)
+  function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  async function hashString(text) {
+    if (typeof crypto !== 'undefined' && crypto.subtle && typeof TextEncoder !== 'undefined') {
+      const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+      return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+    }
+    return fnv1a(text);
+  }
+
+  // Basic traits matching the server's X-* headers
+  function collectBasicTraits() {
+    const nav = typeof navigator !== 'undefined' ? navigator : {};
+    const scr = typeof screen !== 'undefined' ? screen : {};
+    const languages = nav.languages && nav.languages.length ? nav.languages.join(',') : nav.language;
+
+    let timezone;
+    try {
+      timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    } catch (error) {
+      timezone = undefined;
+    }
+
+    return {
+      'X-Timezone': timezone || 'UTC',
+      'X-Screen-Resolution': scr.width ? `${scr.width}x${scr.height}` : 'unknown',
+      'X-Color-Depth': scr.colorDepth || 'unknown',
+      'X-Pixel-Ratio': (typeof window !== 'undefined' && window.devicePixelRatio) || 1,
+      'X-Hardware-Concurrency': nav.hardwareConcurrency || 'unknown',
+      'X-Max-Touch-Points': nav.maxTouchPoints || 0,
+      'X-Platform': nav.platform || 'Unknown',
+      'X-Language': nav.language || 'en-US',
+      'X-Languages': languages || 'en-US',
+      // Set by automation tools (WebDriver, Puppeteer, Playwright)
+      'X-Webdriver': nav.webdriver ? 'true' : 'false'
+    };
+  }
+
+  // Pixel output of a fixed drawing differs across GPUs, drivers and font stacks
+  function getCanvasData() {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = 240;
+      canvas.height = 60;
+      const ctx = canvas.getContext('2d');
+      if (!ctx) return null;
+
+      ctx.textBaseline = 'alphabetic';
+      ctx.fillStyle = '#f60';
+      ctx.fillRect(100, 1, 62, 20);
+      ctx.fillStyle = '#069';
+      ctx.font = '15px Arial';
+      ctx.fillText('Single Device Auth \u{1F512}', 2, 15);
+      ctx.fillStyle = 'rgba(102, 204, 0, 0.7)';
+      ctx.font = '18px Times New Roman';
+      ctx.fillText('Cwm fjordbank glyphs vext quiz', 4, 45);
+      ctx.globalCompositeOperation = 'multiply';
+      ctx.fillStyle = 'rgb(255, 0, 255)';
+      ctx.beginPath();
+      ctx.arc(50, 50, 50, 0, Math.PI * 2, true);
+      ctx.closePath();
+      ctx.fill();
+
+      return canvas.toDataURL();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function getWebGLInfo() {
+    try {
+      const canvas = document.createElement('canvas');
+      const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+      if (!gl) return null;
+
+      const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+      const vendor = debugInfo ? gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL) : gl.getParameter(gl.VENDOR);
+      const renderer = debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : gl.getParameter(gl.RENDERER);
+      const parameters = [
+        gl.MAX_TEXTURE_SIZE,
+        gl.MAX_RENDERBUFFER_SIZE,
+        gl.MAX_VERTEX_ATTRIBS,
+        gl.MAX_VERTEX_UNIFORM_VECTORS,
+        gl.MAX_FRAGMENT_UNIFORM_VECTORS,
+        gl.MAX_VARYING_VECTORS,
+        gl.MAX_COMBINED_TEXTURE_IMAGE_UNITS,
+        gl.ALIASED_LINE_WIDTH_RANGE,
+        gl.ALIASED_POINT_SIZE_RANGE,
+        gl.MAX_VIEWPORT_DIMS
+      ].map(parameter => {
+        const value = gl.getParameter(parameter);
+        return value && value.length !== undefined ? Array.from(value).join('x') : value;
+      });
+
+      return {
+        vendor,
+        renderer,
+        data: [vendor, renderer, parameters.join(','), (gl.getSupportedExtensions() || []).join(',')].join('|')
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Rendering a fixed signal offline exposes differences in the audio stack
+  async function getAudioData() {
+    try {
+      const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+      if (!OfflineContext) return null;
+
+      const context = new OfflineContext(1, 5000, 44100);
+      const oscillator = context.createOscillator();
+      oscillator.type = 'triangle';
+      oscillator.frequency.value = 10000;
+
+      const compressor = context.createDynamicsCompressor();
+      compressor.threshold.value = -50;
+      compressor.knee.value = 40;
+      compressor.ratio.value = 12;
+      compressor.attack.value = 0;
+      compressor.release.value = 0.25;
+
+      oscillator.connect(compressor);
+      compressor.connect(context.destination);
+      oscillator.start(0);
+
+      const buffer = await new Promise((resolve, reject) => {
+        const rendering = context.startRendering();
+        if (rendering && rendering.then) {
+          rendering.then(resolve, reject);
+        } else {
+          context.oncomplete = event => resolve(event.renderedBuffer);
+        }
+        setTimeout(() => reject(new Error('Audio rendering timed out')), 1000);
+      });
+
+      const samples = buffer.getChannelData(0);
+      let sum = 0;
+      for (let i = 4500; i < samples.length; i++) {
+        sum += Math.abs(samples[i]);
+      }
+      return sum.toString();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Collect all traits as request headers
+   * @returns {Promise<Object>} Header name -> value
+   */
+  async function collect() {
+    const headers = collectBasicTraits();
+
+    if (typeof document !== 'undefined') {
+      const canvasData = getCanvasData();
+      const webgl = getWebGLInfo();
+      const audioData = await getAudioData();
+
+      headers['X-Canvas-Hash'] = canvasData ? await hashString(canvasData) : 'unsupported';
+      headers['X-WebGL-Hash'] = webgl ? await hashString(webgl.data) : 'unsupported';
+      headers['X-WebGL-Vendor'] = webgl ? webgl.vendor : 'unsupported';
+      headers['X-WebGL-Renderer'] = webgl ? webgl.renderer : 'unsupported';
+      headers['X-Audio-Hash'] = audioData ? await hashString(audioData) : 'unsupported';
+    }
+
+    Object.keys(headers).forEach(name => {
+      headers[name] = toHeaderValue(headers[name]);
+    });
+    return headers;
+  }
+
+  /**
+   * Device headers, collected once per page load
+   * @returns {Promise<Object>} Header name -> value
+   */
+  function getHeaders() {
+    if (!cachedHeaders) {
+      cachedHeaders = collect().catch(error => {
+        cachedHeaders = null;
+        throw error;
+      });
+    }
+    return cachedHeaders.then(headers => ({ ...headers }));
+  }
+
+  /**
+   * Change SDK options
+   * @param {Object} newOptions - { deviceKeys, challengeUrl }
+   */
+  function configure(newOptions) {
+    options = { ...options, ...newOptions };
+  }
+
+  function supportsDeviceKeys() {
+    return typeof crypto !== 'undefined' && Boolean(crypto.subtle) && typeof indexedDB !== 'undefined';
+  }
+
+  function base64url(buffer) {
+    let binary = '';
+    new Uint8Array(buffer).forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  // Run one request against the key store
+  function withKeyStore(mode, action) {
+    return new Promise((resolve, reject) => {
+      const open = indexedDB.open(KEY_DB_NAME, 1);
+      open.onupgradeneeded = () => open.result.createObjectStore(KEY_STORE_NAME);
+      open.onerror = () => reject(open.error);
+      open.onsuccess = () => {
+        const db = open.result;
+        const request = action(db.transaction(KEY_STORE_NAME, mode).objectStore(KEY_STORE_NAME));
+        request.onsuccess = () => {
+          db.close();
+          resolve(request.result);
+        };
+        request.onerror = () => {
+          db.close();
+          reject(request.error);
+        };
+      };
+    });
+  }
+
+  /**
+   * The device key stored in this browser, if any
+   * @returns {Promise<Object|null>} { privateKey, publicJwk }
+   */
+  async function getDeviceKey() {
+    if (!supportsDeviceKeys()) return null;
+    return (await withKeyStore('readonly', store => store.get(DEVICE_KEY_ID))) || null;
+  }
+
+  // The private key is non-extractable: it can sign, but never leaves the browser
+  async function getOrCreateDeviceKey() {
+    const existing = await getDeviceKey();
+    if (existing) return existing;
+
+    const keyPair = await crypto.subtle.generateKey(ECDSA_PARAMS, false, ['sign', 'verify']);
+    const publicJwk = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+    const deviceKey = { privateKey: keyPair.privateKey, publicJwk };
+
+    await withKeyStore('readwrite', store => store.put(deviceKey, DEVICE_KEY_ID));
+    return deviceKey;
+  }
+
+  /**
+   * Fetch a server challenge and sign it with a device key
+   * @param {CryptoKey} privateKey - Device private key
+   * @returns {Promise<Object>} { challengeId, signature }
+   */
+  async function signChallenge(privateKey) {
+    const response = await fetch(options.challengeUrl, { method: 'POST', credentials: 'same-origin' });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.message || 'Failed to get device challenge');
+    }
+
+    const { challengeId, nonce } = result.data;
+    const signature = await crypto.subtle.sign(SIGN_PARAMS, privateKey, new TextEncoder().encode(nonce));
+    return { challengeId, signature: base64url(signature) };
+  }
+
+  /**
+   * Create this browser's device key (if needed) and prove possession of it
+   * @returns {Promise<Object>} { publicKey, challengeId, signature } for POST /api/auth/device-key
+   */
+  async function createDeviceKeyEnrollment() {
+    const deviceKey = await getOrCreateDeviceKey();
+    const proof = await signChallenge(deviceKey.privateKey);
+    return { publicKey: deviceKey.publicJwk, ...proof };
+  }
+
+  /**
+   * Wrap a fetch implementation so every request carries the device headers
+   * @param {Function} baseFetch - fetch implementation (defaults to window.fetch)
+   * @returns {Function} fetch-compatible function
+   */
+  function createFetch(baseFetch) {
+    return async function (input, init = {}) {
+      const fetchImpl = baseFetch || fetch;
+      const headers = new Headers(init.headers || {});
+      const deviceHeaders = await getHeaders();
+
+      Object.keys(deviceHeaders).forEach(name => {
+        if (!headers.has(name)) {
+          headers.set(name, deviceHeaders[name]);
+        }
+      });
+
+      // Prove possession of the device key on everything but the challenge request itself
+      if (options.deviceKeys && !headers.has('X-Device-Proof') && !String(input).endsWith(options.challengeUrl)) {
+        const deviceKey = await getDeviceKey();
+        if (deviceKey) {
+          const { challengeId, signature } = await signChallenge(deviceKey.privateKey);
+          headers.set('X-Device-Proof', `${challengeId}.${signature}`);
+        }
+      }
+
+      return fetchImpl(input, { credentials: 'same-origin', ...init, headers });
+    };
+  }
+
+  return {
+    collect,
+    getHeaders,
+    configure,
+    supportsDeviceKeys,
+    getDeviceKey,
+    createDeviceKeyEnrollment,
+    createFetch,
+    fetch: createFetch()
+  };
+});
@@ -1,15 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
 const DeviceChangeRequest = require('../models/DeviceChangeRequest');
-const { verifyToken, requireAdmin } = require('../middleware/auth');
+const DevicePolicy = require('../models/DevicePolicy');
+const AccessSchedule = require('../models/AccessSchedule');
+const AuditEvent = require('../models/AuditEvent');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { enqueueWebhookEvent } = require('../utils/webhooks');
+const { verifyToken, requirePermission, requireTwoFactor, validateDevice } = require('../middleware/auth');
 
-// All admin routes require authentication and admin role
+// All admin routes require authentication, admin panel access, two-factor and a valid device
 router.use(verifyToken);
-router.use(requireAdmin);
+router.use(requirePermission('admin:access'));
+router.use(requireTwoFactor);
+router.use(validateDevice);
 
 // Get all pending device change requests
-router.get('/requests', async (req, res) => {
+router.get('/requests', requirePermission('requests:read'), async (req, res) => {
   try {
     const { status = 'pending', page = 1, limit = 10 } = req.query;
     
@@ -48,7 +58,7 @@ router.get('/requests', async (req, res) => {
 });
 
 // Get specific device change request
-router.get('/requests/:requestId', async (req, res) => {
+router.get('/requests/:requestId', requirePermission('requests:read'), async (req, res) => {
   try {
     const { requestId } = req.params;
 
@@ -77,7 +87,7 @@ router.get('/requests/:requestId', async (req, res) => {
 });
 
 // Approve device change request
-router.post('/requests/:requestId/approve', async (req, res) => {
+router.post('/requests/:requestId/approve', requirePermission('requests:approve'), async (req, res) => {
   try {
     const { requestId } = req.params;
     const { adminNotes } = req.body;
@@ -98,43 +108,20 @@ router.post('/requests/:requestId/approve', async (req, res) => {
       });
     }
 
-    // Update request status
-    request.status = 'approved';
-    request.reviewedAt = new Date();
-    request.reviewedBy = req.user._id;
-    request.adminNotes = adminNotes;
-
-    await request.save();
-
-    // Update user's device registration
-    const user = await User.findById(request.user);
-    if (user) {
-      // Remove old device if it exists
-      if (user.currentDeviceId) {
-        user.registeredDevices = user.registeredDevices.filter(
-          device => device.deviceId !== user.currentDeviceId
-        );
-      }
-      
-      // Register new device
-      const newDeviceInfo = {
-        userAgent: request.newDeviceInfo.userAgent,
-        ipAddress: request.newDeviceInfo.ipAddress,
-        platform: request.newDeviceInfo.platform
-      };
-
-      user.registeredDevices.push({
-        deviceId: request.newDeviceId,
-        deviceInfo: newDeviceInfo,
-        registeredAt: new Date(),
-        lastUsed: new Date()
-      });
-
-      user.currentDeviceId = request.newDeviceId;
-      await user.save();
-      
-      console.log(`Device change approved for user ${user.username}. New device registered.`);
-    }
+    // Update request status and the user's device registration
+    await request.approve({
+      reviewedBy: req.user._id,
+      adminNotes
+    });
+    await AuditEvent.record(req, {
+      action: 'request.approved',
+      actor: req.user._id,
+      target: request.user,
+      request: request._id,
+      deviceId: request.newDeviceId,
+      reason: adminNotes
+    });
+    await enqueueWebhookEvent('device_change.approved', request.toWebhookPayload());
 
     res.json({
       success: true,
@@ -143,6 +130,14 @@ router.post('/requests/:requestId/approve', async (req, res) => {
     });
 
   } catch (error) {
+    if (error.code === 'DEVICE_LIMIT_REACHED') {
+      return res.status(error.status).json({
+        success: false,
+        message: `${error.message} Remove one of the user's devices or raise their device limit first.`,
+        code: error.code
+      });
+    }
+
     console.error('Approve request error:', error);
     res.status(500).json({
       success: false,
@@ -152,7 +147,7 @@ router.post('/requests/:requestId/approve', async (req, res) => {
 });
 
 // Reject device change request
-router.post('/requests/:requestId/reject', async (req, res) => {
+router.post('/requests/:requestId/reject', requirePermission('requests:reject'), async (req, res) => {
   try {
     const { requestId } = req.params;
     const { adminNotes, reason } = req.body;
@@ -181,6 +176,15 @@ router.post('/requests/:requestId/reject', async (req, res) => {
     request.reason = reason || request.reason;
 
     await request.save();
+    await AuditEvent.record(req, {
+      action: 'request.rejected',
+      actor: req.user._id,
+      target: request.user,
+      request: request._id,
+      deviceId: request.newDeviceId,
+      reason: reason || adminNotes
+    });
+    await enqueueWebhookEvent('device_change.rejected', request.toWebhookPayload());
 
     res.json({
       success: true,
@@ -198,22 +202,26 @@ router.post('/requests/:requestId/reject', async (req, res) => {
 });
 
 // Get all users
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission('users:read'), async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, locked } = req.query;
+
+    // ?locked=true lists only accounts that are currently locked out
+    const filter = locked === 'true' ? { 'loginLockout.lockedUntil': { $gt: new Date() } } : {};
 
-    const users = await User.find({})
+    const users = await User.find(filter)
       .select('-password -registeredDevices')
+      .populate('roles', 'name')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
 
-    const total = await User.countDocuments({});
+    const total = await User.countDocuments(filter);
 
     res.json({
       success: true,
       data: {
-        users,
+        users: users.map(user => ({ ...user.toObject(), lockout: user.getLockoutState() })),
         pagination: {
           current: parseInt(page),
           pages: Math.ceil(total / limit),
@@ -231,12 +239,13 @@ router.get('/users', async (req, res) => {
 });
 
 // Get user details
-router.get('/users/:userId', async (req, res) => {
+router.get('/users/:userId', requirePermission('users:read'), async (req, res) => {
   try {
     const { userId } = req.params;
 
     const user = await User.findById(userId)
-      .select('-password');
+      .select('-password')
+      .populate('roles', 'name permissions');
 
     if (!user) {
       return res.status(404).json({
@@ -249,11 +258,15 @@ router.get('/users/:userId', async (req, res) => {
     const requests = await DeviceChangeRequest.find({ user: userId })
       .sort({ requestedAt: -1 })
       .limit(10);
+    const devicePolicy = await DevicePolicy.resolveForUser(user._id);
 
     res.json({
       success: true,
       data: { 
         user,
+        lockout: user.getLockoutState(),
+        deviceChangeQuota: await DeviceChangeRequest.getQuotaUsage(user._id, devicePolicy),
+        accessSchedules: await AccessSchedule.findForUser(user),
         recentRequests: requests
       }
     });
@@ -267,7 +280,7 @@ router.get('/users/:userId', async (req, res) => {
 });
 
 // Get request history
-router.get('/requests/history', async (req, res) => {
+router.get('/requests/history', requirePermission('requests:read'), async (req, res) => {
   try {
     const { page = 1, limit = 20, userId } = req.query;
     
@@ -314,6 +327,7 @@ router.get('/dashboard', async (req, res) => {
       pendingRequests,
       approvedRequests,
       rejectedRequests,
+      lockedUsers,
       recentRequests
     ] = await Promise.all([
       User.countDocuments({}),
@@ -321,6 +335,7 @@ router.get('/dashboard', async (req, res) => {
       DeviceChangeRequest.countDocuments({ status: 'pending' }),
       DeviceChangeRequest.countDocuments({ status: 'approved' }),
       DeviceChangeRequest.countDocuments({ status: 'rejected' }),
+      User.countDocuments({ 'loginLockout.lockedUntil': { $gt: new Date() } }),
       DeviceChangeRequest.find({})
         .populate('user', 'username email')
         .sort({ requestedAt: -1 })
@@ -335,7 +350,8 @@ router.get('/dashboard', async (req, res) => {
           activeUsers,
           pendingRequests,
           approvedRequests,
-          rejectedRequests
+          rejectedRequests,
+          lockedUsers
         },
         recentRequests
       }
@@ -350,7 +366,7 @@ router.get('/dashboard', async (req, res) => {
 });
 
 // Deactivate/Activate user
-router.post('/users/:userId/toggle-status', async (req, res) => {
+router.post('/users/:userId/toggle-status', requirePermission('users:deactivate'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { isActive } = req.body;
@@ -365,6 +381,25 @@ router.post('/users/:userId/toggle-status', async (req, res) => {
 
     user.isActive = isActive;
     await user.save();
+    await AuditEvent.record(req, {
+      action: user.isActive ? 'user.activated' : 'user.deactivated',
+      actor: req.user._id,
+      target: user._id
+    });
+    await enqueueWebhookEvent(user.isActive ? 'user.activated' : 'user.deactivated', {
+      userId: user._id,
+      username: user.username,
+      email: user.email,
+      isActive: user.isActive,
+      changedBy: req.user._id
+    });
+
+    if (!user.isActive) {
+      await Session.revokeForUser(user._id, {
+        reason: 'user-deactivated',
+        revokedBy: req.user._id
+      });
+    }
 
     res.json({
       success: true,
@@ -380,5 +415,1451 @@ router.post('/users/:userId/toggle-status', async (req, res) => {
   }
 });
 
+// Unlock an account locked by failed sign-ins (also clears the back-off)
+router.post('/users/:userId/unlock', requirePermission('users:unlock'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    const previousState = user.getLockoutState();
+    await User.resetLoginFailures(user._id);
+    await AuditEvent.record(req, {
+      action: 'user.unlocked',
+      actor: req.user._id,
+      target: user._id,
+      reason: req.body.reason,
+      metadata: {
+        wasLocked: previousState.locked,
+        failedAttempts: previousState.failedAttempts,
+        lockedUntil: previousState.lockedUntil
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully.',
+      data: { user: { id: user._id, username: user.username, wasLocked: previousState.locked } }
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock user.'
+    });
+  }
+});
+
+// Get user's active sessions
+router.get('/users/:userId/sessions', requirePermission('users:read'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const sessions = await Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeen: -1 });
+
+    res.json({
+      success: true,
+      data: { sessions }
+    });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get user sessions.'
+    });
+  }
+});
+
+// Revoke all sessions of a user
+router.post('/users/:userId/sessions/revoke', requirePermission('sessions:revoke'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    const result = await Session.revokeForUser(user._id, {
+      reason: reason || 'admin-revoked',
+      revokedBy: req.user._id
+    });
+    await AuditEvent.record(req, {
+      action: 'session.revoked',
+      actor: req.user._id,
+      target: user._id,
+      reason: reason || 'admin-revoked',
+      metadata: { revokedSessions: result.modifiedCount }
+    });
+
+    res.json({
+      success: true,
+      message: 'User sessions revoked successfully.',
+      data: { revokedSessions: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke user sessions.'
+    });
+  }
+});
+
+// Revoke a single session
+router.post('/sessions/:sessionId/revoke', requirePermission('sessions:revoke'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { reason } = req.body;
+
+    const session = await Session.findById(sessionId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found.'
+      });
+    }
+
+    if (session.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Session has already been revoked.'
+      });
+    }
+
+    await session.revoke(reason || 'admin-revoked', req.user._id);
+    await AuditEvent.record(req, {
+      action: 'session.revoked',
+      actor: req.user._id,
+      target: session.user,
+      reason: reason || 'admin-revoked',
+      metadata: { sessionId: session._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully.',
+      data: { session }
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session.'
+    });
+  }
+});
+
+// Reason an admin gives for acting on a user's devices or sessions
+const getActionReason = (body) => (typeof body.reason === 'string' ? body.reason.trim() : '');
+
+const rejectMissingReason = (res) => res.status(400).json({
+  success: false,
+  message: 'A reason is required.'
+});
+
+// Revoke one of a user's registered devices, signing it out
+router.delete('/users/:userId/devices/:deviceId', requirePermission('devices:revoke'), async (req, res) => {
+  try {
+    const { userId, deviceId } = req.params;
+    const reason = getActionReason(req.body);
+    if (!reason) {
+      return rejectMissingReason(res);
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    const device = user.removeDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found.'
+      });
+    }
+    await user.save();
+
+    const result = await Session.revokeForUser(user._id, {
+      reason: 'device-revoked',
+      revokedBy: req.user._id,
+      deviceId
+    });
+    await AuditEvent.record(req, {
+      action: 'device.revoked',
+      actor: req.user._id,
+      target: user._id,
+      deviceId,
+      reason,
+      metadata: {
+        name: device.name,
+        platform: device.deviceInfo && device.deviceInfo.platform,
+        revokedSessions: result.modifiedCount
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Device revoked successfully.',
+      data: {
+        currentDeviceId: user.currentDeviceId,
+        registeredDevices: user.registeredDevices.length,
+        revokedSessions: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Revoke device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke device.'
+    });
+  }
+});
+
+// Remove all of a user's devices; the next sign-in registers a device again
+router.post('/users/:userId/devices/wipe', requirePermission('devices:revoke'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const reason = getActionReason(req.body);
+    if (!reason) {
+      return rejectMissingReason(res);
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    const removedDeviceIds = user.registeredDevices.map(device => device.deviceId);
+    user.registeredDevices = [];
+    user.webauthnCredentials = [];
+    user.currentDeviceId = null;
+    await user.save();
+
+    const result = await Session.revokeForUser(user._id, {
+      reason: 'devices-wiped',
+      revokedBy: req.user._id
+    });
+    await AuditEvent.record(req, {
+      action: 'device.wiped',
+      actor: req.user._id,
+      target: user._id,
+      reason,
+      metadata: {
+        removedDeviceIds,
+        revokedSessions: result.modifiedCount
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'All devices removed. The user must register a device at their next sign-in.',
+      data: {
+        removedDevices: removedDeviceIds.length,
+        revokedSessions: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Wipe devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove devices.'
+    });
+  }
+});
+
+// Make one of a user's registered devices their current device, ending sessions
+// on the others unless the user's policy allows concurrent sessions
+router.post('/users/:userId/devices/:deviceId/pin', requirePermission('devices:manage'), async (req, res) => {
+  try {
+    const { userId, deviceId } = req.params;
+    const reason = getActionReason(req.body);
+    if (!reason) {
+      return rejectMissingReason(res);
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    if (!user.isDeviceRegistered(deviceId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found.'
+      });
+    }
+
+    const previousDeviceId = user.currentDeviceId;
+    user.currentDeviceId = deviceId;
+    await user.save();
+
+    const policy = await DevicePolicy.resolveForUser(user._id);
+    let revokedSessions = 0;
+    if (!policy.allowConcurrentSessions) {
+      const result = await Session.revokeForUser(user._id, {
+        reason: 'device-pinned',
+        revokedBy: req.user._id,
+        exceptDeviceId: deviceId
+      });
+      revokedSessions = result.modifiedCount;
+    }
+
+    await AuditEvent.record(req, {
+      action: 'device.pinned',
+      actor: req.user._id,
+      target: user._id,
+      deviceId,
+      reason,
+      metadata: { previousDeviceId, revokedSessions }
+    });
+
+    res.json({
+      success: true,
+      message: 'Device pinned as the current device.',
+      data: {
+        currentDeviceId: deviceId,
+        previousDeviceId,
+        revokedSessions
+      }
+    });
+  } catch (error) {
+    console.error('Pin device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pin device.'
+    });
+  }
+});
+
+// Get all roles and the permissions that can be granted
+router.get('/roles', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const roles = await Role.find({}).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        roles,
+        permissions: Role.PERMISSIONS
+      }
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get roles.'
+    });
+  }
+});
+
+// Create a role
+router.post('/roles', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role name is required.'
+      });
+    }
+
+    const existingRole = await Role.findOne({ name: name.trim().toLowerCase() });
+    if (existingRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role with this name already exists.'
+      });
+    }
+
+    const role = new Role({ name, description, permissions });
+    await role.save();
+    await AuditEvent.record(req, {
+      action: 'role.created',
+      actor: req.user._id,
+      metadata: { role: role.name, permissions: role.permissions }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully.',
+      data: { role }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create role.'
+    });
+  }
+});
+
+// Update a role's description or permissions
+router.patch('/roles/:roleId', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { roleId } = req.params;
+    const { description, permissions } = req.body;
+
+    const role = await Role.findById(roleId);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found.'
+      });
+    }
+
+    // The admin role always holds every permission
+    if (role.name === Role.ADMIN_ROLE && permissions !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Permissions of the admin role cannot be changed.'
+      });
+    }
+
+    const previousPermissions = [...role.permissions];
+    if (description !== undefined) {
+      role.description = description;
+    }
+    if (permissions !== undefined) {
+      role.permissions = permissions;
+    }
+    await role.save();
+    await AuditEvent.record(req, {
+      action: 'role.updated',
+      actor: req.user._id,
+      metadata: { role: role.name, previousPermissions, permissions: role.permissions }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully.',
+      data: { role }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role.'
+    });
+  }
+});
+
+// Delete a custom role
+router.delete('/roles/:roleId', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { roleId } = req.params;
+
+    const role = await Role.findById(roleId);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found.'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted.'
+      });
+    }
+
+    const { modifiedCount } = await User.updateMany({ roles: role._id }, { $pull: { roles: role._id } });
+    await AccessSchedule.deleteOne({ scope: 'role', role: role._id });
+    await role.deleteOne();
+    await AuditEvent.record(req, {
+      action: 'role.deleted',
+      actor: req.user._id,
+      metadata: { role: role.name, permissions: role.permissions, revokedFrom: modifiedCount }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully.'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete role.'
+    });
+  }
+});
+
+// Grant a role to a user
+router.post('/users/:userId/roles', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role: roleName } = req.body;
+
+    if (!roleName) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role name is required.'
+      });
+    }
+
+    const [user, role] = await Promise.all([
+      User.findById(userId),
+      Role.findOne({ name: roleName.trim().toLowerCase() })
+    ]);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found.'
+      });
+    }
+
+    if (user.roles.some(id => id.equals(role._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already has this role.'
+      });
+    }
+
+    user.roles.push(role._id);
+    await user.save();
+    await user.loadRoles();
+    await AuditEvent.record(req, {
+      action: 'role.granted',
+      actor: req.user._id,
+      target: user._id,
+      metadata: { role: role.name }
+    });
+
+    res.json({
+      success: true,
+      message: `Role ${role.name} granted to ${user.username}.`,
+      data: { user: { id: user._id, username: user.username, roles: user.getRoleNames() } }
+    });
+  } catch (error) {
+    console.error('Grant role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to grant role.'
+    });
+  }
+});
+
+// Revoke a role from a user
+router.delete('/users/:userId/roles/:roleName', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { userId, roleName } = req.params;
+
+    const [user, role] = await Promise.all([
+      User.findById(userId),
+      Role.findOne({ name: roleName.toLowerCase() })
+    ]);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    if (!role || !user.roles.some(id => id.equals(role._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'User does not have this role.'
+      });
+    }
+
+    // Never lock everyone out of the admin panel
+    if (role.name === Role.ADMIN_ROLE) {
+      const adminCount = await User.countDocuments({ roles: role._id, isActive: true });
+      if (adminCount <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot revoke the admin role from the last active admin.'
+        });
+      }
+    }
+
+    user.roles = user.roles.filter(id => !id.equals(role._id));
+    await user.save();
+    await user.loadRoles();
+    await AuditEvent.record(req, {
+      action: 'role.revoked',
+      actor: req.user._id,
+      target: user._id,
+      metadata: { role: role.name }
+    });
+
+    res.json({
+      success: true,
+      message: `Role ${role.name} revoked from ${user.username}.`,
+      data: { user: { id: user._id, username: user.username, roles: user.getRoleNames() } }
+    });
+  } catch (error) {
+    console.error('Revoke role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke role.'
+    });
+  }
+});
+
+// Get audit events
+router.get('/audit', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, action, outcome, actor, target, userId, ip, risk, from, to } = req.query;
+
+    const query = {};
+    if (action) {
+      // "auth" matches every auth.* action
+      query.action = action.includes('.') ? action : { $regex: `^${action.replace(/[^\w-]/g, '')}\\.` };
+    }
+    if (outcome) {
+      query.outcome = outcome;
+    }
+    if (actor) {
+      query.actor = actor;
+    }
+    if (target) {
+      query.target = target;
+    }
+    if (userId) {
+      query.$or = [{ actor: userId }, { target: userId }];
+    }
+    if (ip) {
+      query.ipAddress = ip;
+    }
+    if (risk) {
+      // allow, step-up or deny
+      query['risk.action'] = risk;
+    }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) {
+        query.createdAt.$gte = new Date(from);
+      }
+      if (to) {
+        query.createdAt.$lte = new Date(to);
+      }
+    }
+
+    const events = await AuditEvent.find(query)
+      .populate('actor', 'username email')
+      .populate('target', 'username email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await AuditEvent.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid filter value.'
+      });
+    }
+
+    console.error('Get audit events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get audit events.'
+    });
+  }
+});
+
+// Get webhook subscriptions
+router.get('/webhooks', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find({})
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        subscriptions,
+        events: WebhookSubscription.WEBHOOK_EVENTS
+      }
+    });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get webhook subscriptions.'
+    });
+  }
+});
+
+// Create a webhook subscription
+router.post('/webhooks', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+
+    const secret = WebhookSubscription.generateSecret();
+    const subscription = new WebhookSubscription({
+      url,
+      events,
+      description,
+      secret,
+      createdBy: req.user._id
+    });
+    await subscription.save();
+
+    await AuditEvent.record(req, {
+      action: 'webhook.created',
+      actor: req.user._id,
+      metadata: { subscriptionId: subscription._id, url: subscription.url, events: subscription.events }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook subscription created. Store the secret now; it will not be shown again.',
+      data: {
+        subscription,
+        secret
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create webhook subscription.'
+    });
+  }
+});
+
+// Update a webhook subscription
+router.patch('/webhooks/:subscriptionId', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const { subscriptionId } = req.params;
+    const { url, events, description, isActive } = req.body;
+
+    const subscription = await WebhookSubscription.findById(subscriptionId);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook subscription not found.'
+      });
+    }
+
+    if (url !== undefined) {
+      subscription.url = url;
+    }
+    if (events !== undefined) {
+      subscription.events = events;
+    }
+    if (description !== undefined) {
+      subscription.description = description;
+    }
+    if (isActive !== undefined) {
+      subscription.isActive = isActive;
+    }
+    await subscription.save();
+
+    await AuditEvent.record(req, {
+      action: 'webhook.updated',
+      actor: req.user._id,
+      metadata: { subscriptionId: subscription._id, url: subscription.url, events: subscription.events, isActive: subscription.isActive }
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook subscription updated successfully.',
+      data: { subscription }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update webhook subscription.'
+    });
+  }
+});
+
+// Delete a webhook subscription
+router.delete('/webhooks/:subscriptionId', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const { subscriptionId } = req.params;
+
+    const subscription = await WebhookSubscription.findByIdAndDelete(subscriptionId);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook subscription not found.'
+      });
+    }
+
+    // Nothing is left to deliver to
+    await WebhookDelivery.updateMany(
+      { subscription: subscription._id, status: 'pending' },
+      { $set: { status: 'failed' } }
+    );
+
+    await AuditEvent.record(req, {
+      action: 'webhook.deleted',
+      actor: req.user._id,
+      metadata: { subscriptionId: subscription._id, url: subscription.url }
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook subscription deleted successfully.'
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete webhook subscription.'
+    });
+  }
+});
+
+// Rotate the signing secret of a webhook subscription
+router.post('/webhooks/:subscriptionId/rotate-secret', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const { subscriptionId } = req.params;
+
+    const subscription = await WebhookSubscription.findById(subscriptionId);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook subscription not found.'
+      });
+    }
+
+    const secret = WebhookSubscription.generateSecret();
+    subscription.secret = secret;
+    await subscription.save();
+
+    await AuditEvent.record(req, {
+      action: 'webhook.secret-rotated',
+      actor: req.user._id,
+      metadata: { subscriptionId: subscription._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook secret rotated. Store the new secret now; it will not be shown again.',
+      data: { secret }
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rotate webhook secret.'
+    });
+  }
+});
+
+// Send a test event to a webhook subscription
+router.post('/webhooks/:subscriptionId/test', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const { subscriptionId } = req.params;
+
+    const subscription = await WebhookSubscription.findById(subscriptionId);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook subscription not found.'
+      });
+    }
+
+    const delivery = new WebhookDelivery({ subscription: subscription._id, event: 'ping' });
+    delivery.payload = {
+      id: delivery._id.toString(),
+      event: 'ping',
+      createdAt: new Date().toISOString(),
+      data: { message: 'Test event', requestedBy: req.user._id }
+    };
+    await delivery.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Test event queued.',
+      data: { delivery }
+    });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue test event.'
+    });
+  }
+});
+
+// Get the delivery log of a webhook subscription
+router.get('/webhooks/:subscriptionId/deliveries', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const { subscriptionId } = req.params;
+    const { page = 1, limit = 20, status } = req.query;
+
+    const query = { subscription: subscriptionId };
+    if (status) {
+      query.status = status;
+    }
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await WebhookDelivery.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get webhook deliveries.'
+    });
+  }
+});
+
+// Retry a failed webhook delivery
+router.post('/webhooks/deliveries/:deliveryId/retry', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook delivery not found.'
+      });
+    }
+
+    if (delivery.status !== 'failed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only failed deliveries can be retried.'
+      });
+    }
+
+    delivery.status = 'pending';
+    delivery.attempts = 0;
+    delivery.nextAttemptAt = new Date();
+    await delivery.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook delivery queued for retry.',
+      data: { delivery }
+    });
+  } catch (error) {
+    console.error('Retry webhook delivery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry webhook delivery.'
+    });
+  }
+});
+
+// Pick the policy fields out of a request body
+const getPolicyValues = (body) => {
+  const values = {};
+  DevicePolicy.POLICY_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      values[field] = body[field];
+    }
+  });
+  return values;
+};
+
+// Get the global device policy
+router.get('/device-policy', requirePermission('policies:manage'), async (req, res) => {
+  try {
+    const policy = await DevicePolicy.findOne({ scope: 'global' });
+
+    res.json({
+      success: true,
+      data: {
+        policy,
+        defaults: DevicePolicy.getDefaults(),
+        effective: await DevicePolicy.resolveForUser(null)
+      }
+    });
+  } catch (error) {
+    console.error('Get device policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get device policy.'
+    });
+  }
+});
+
+// Update the global device policy (null resets a field to the configured default)
+router.patch('/device-policy', requirePermission('policies:manage'), async (req, res) => {
+  try {
+    const values = getPolicyValues(req.body);
+    const policy = await DevicePolicy.upsert(null, values, req.user._id);
+
+    await AuditEvent.record(req, {
+      action: 'policy.updated',
+      actor: req.user._id,
+      metadata: { scope: 'global', changes: values }
+    });
+
+    res.json({
+      success: true,
+      message: 'Device policy updated successfully.',
+      data: {
+        policy,
+        effective: await DevicePolicy.resolveForUser(null)
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update device policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update device policy.'
+    });
+  }
+});
+
+// Get a user's device policy override and effective policy
+router.get('/users/:userId/device-policy', requirePermission('policies:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    const override = await DevicePolicy.findOne({ scope: 'user', user: user._id });
+
+    res.json({
+      success: true,
+      data: {
+        override,
+        effective: await DevicePolicy.resolveForUser(user._id)
+      }
+    });
+  } catch (error) {
+    console.error('Get user device policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get user device policy.'
+    });
+  }
+});
+
+// Update a user's device policy override (null inherits the field from the global policy)
+router.patch('/users/:userId/device-policy', requirePermission('policies:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    const values = getPolicyValues(req.body);
+    const override = await DevicePolicy.upsert(user._id, values, req.user._id);
+
+    await AuditEvent.record(req, {
+      action: 'policy.updated',
+      actor: req.user._id,
+      target: user._id,
+      metadata: { scope: 'user', changes: values }
+    });
+
+    res.json({
+      success: true,
+      message: 'User device policy updated successfully.',
+      data: {
+        override,
+        effective: await DevicePolicy.resolveForUser(user._id)
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update user device policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user device policy.'
+    });
+  }
+});
+
+// Remove a user's device policy override
+router.delete('/users/:userId/device-policy', requirePermission('policies:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const result = await DevicePolicy.deleteOne({ scope: 'user', user: userId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User has no device policy override.'
+      });
+    }
+
+    await AuditEvent.record(req, {
+      action: 'policy.removed',
+      actor: req.user._id,
+      target: userId,
+      metadata: { scope: 'user' }
+    });
+
+    res.json({
+      success: true,
+      message: 'User device policy override removed.',
+      data: {
+        effective: await DevicePolicy.resolveForUser(userId)
+      }
+    });
+  } catch (error) {
+    console.error('Remove user device policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove user device policy.'
+    });
+  }
+});
+
+// Pick the schedule fields present in a request body
+const getScheduleValues = (body) => {
+  const values = {};
+  ['timezone', 'windows', 'description', 'isActive'].forEach(field => {
+    if (body[field] !== undefined) {
+      values[field] = body[field];
+    }
+  });
+  return values;
+};
+
+// List all access schedules
+router.get('/access-schedules', requirePermission('schedules:manage'), async (req, res) => {
+  try {
+    const schedules = await AccessSchedule.find()
+      .populate('user', 'username email')
+      .populate('role', 'name')
+      .sort({ scope: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { schedules }
+    });
+  } catch (error) {
+    console.error('Get access schedules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get access schedules.'
+    });
+  }
+});
+
+// Get a user's own schedule and the schedules that currently apply to them
+router.get('/users/:userId/access-schedule', requirePermission('schedules:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    const schedule = await AccessSchedule.findOne({ scope: 'user', user: user._id });
+    const access = await AccessSchedule.checkAccess(user);
+
+    res.json({
+      success: true,
+      data: {
+        schedule,
+        effective: access.schedules,
+        allowedNow: access.allowed
+      }
+    });
+  } catch (error) {
+    console.error('Get user access schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get user access schedule.'
+    });
+  }
+});
+
+// Create or update a user's schedule (replaces the schedules of their roles)
+router.put('/users/:userId/access-schedule', requirePermission('schedules:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    const values = getScheduleValues(req.body);
+    const schedule = await AccessSchedule.upsert({ scope: 'user', user: user._id, role: null }, values, req.user._id);
+
+    await AuditEvent.record(req, {
+      action: 'schedule.updated',
+      actor: req.user._id,
+      target: user._id,
+      metadata: { scope: 'user', changes: values }
+    });
+
+    res.json({
+      success: true,
+      message: 'Access schedule updated successfully.',
+      data: { schedule }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update user access schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user access schedule.'
+    });
+  }
+});
+
+// Remove a user's schedule (their role schedules apply again)
+router.delete('/users/:userId/access-schedule', requirePermission('schedules:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const result = await AccessSchedule.deleteOne({ scope: 'user', user: userId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User has no access schedule.'
+      });
+    }
+
+    await AuditEvent.record(req, {
+      action: 'schedule.removed',
+      actor: req.user._id,
+      target: userId,
+      metadata: { scope: 'user' }
+    });
+
+    res.json({
+      success: true,
+      message: 'User access schedule removed.'
+    });
+  } catch (error) {
+    console.error('Remove user access schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove user access schedule.'
+    });
+  }
+});
+
+// Get the schedule of a role
+router.get('/roles/:roleId/access-schedule', requirePermission('schedules:manage'), async (req, res) => {
+  try {
+    const { roleId } = req.params;
+
+    const role = await Role.findById(roleId);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        schedule: await AccessSchedule.findOne({ scope: 'role', role: role._id })
+      }
+    });
+  } catch (error) {
+    console.error('Get role access schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get role access schedule.'
+    });
+  }
+});
+
+// Create or update the schedule of a role's members
+router.put('/roles/:roleId/access-schedule', requirePermission('schedules:manage'), async (req, res) => {
+  try {
+    const { roleId } = req.params;
+
+    const role = await Role.findById(roleId);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found.'
+      });
+    }
+
+    const values = getScheduleValues(req.body);
+    const schedule = await AccessSchedule.upsert({ scope: 'role', user: null, role: role._id }, values, req.user._id);
+
+    await AuditEvent.record(req, {
+      action: 'schedule.updated',
+      actor: req.user._id,
+      metadata: { scope: 'role', role: role.name, changes: values }
+    });
+
+    res.json({
+      success: true,
+      message: 'Access schedule updated successfully.',
+      data: { schedule }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update role access schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role access schedule.'
+    });
+  }
+});
+
+// Remove the schedule of a role
+router.delete('/roles/:roleId/access-schedule', requirePermission('schedules:manage'), async (req, res) => {
+  try {
+    const { roleId } = req.params;
+
+    const result = await AccessSchedule.deleteOne({ scope: 'role', role: roleId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role has no access schedule.'
+      });
+    }
+
+    await AuditEvent.record(req, {
+      action: 'schedule.removed',
+      actor: req.user._id,
+      metadata: { scope: 'role', role: roleId }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role access schedule removed.'
+    });
+  } catch (error) {
+    console.error('Remove role access schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove role access schedule.'
+    });
+  }
+});
+
 module.exports = router;
 
@@ -1,9 +1,63 @@
 const express = require('express');
 const router = express.Router();
+const jwt = require('jsonwebtoken');
+const config = require('../config');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
 const DeviceChangeRequest = require('../models/DeviceChangeRequest');
-const { generateToken, verifyToken, validateDevice } = require('../middleware/auth');
-const { authLimiter } = require('../middleware/rateLimiter');
+const DevicePairing = require('../models/DevicePairing');
+const DevicePolicy = require('../models/DevicePolicy');
+const DeviceChallenge = require('../models/DeviceChallenge');
+const AuditEvent = require('../models/AuditEvent');
+const LoginCode = require('../models/LoginCode');
+const AccessSchedule = require('../models/AccessSchedule');
+const { enqueueWebhookEvent } = require('../utils/webhooks');
+const {
+  generateToken,
+  signAccessToken,
+  issueRefreshToken,
+  setRefreshCookie,
+  clearRefreshCookie,
+  getRefreshToken,
+  verifyToken,
+  verifyTokenFromNewDevice,
+  validateDevice
+} = require('../middleware/auth');
+const { authLimiter, deviceChangeLimiter } = require('../middleware/rateLimiter');
+const totp = require('../utils/totp');
+const { normalizePublicKey, verifyDeviceProof, checkDeviceProof, DEVICE_PROOF_MESSAGES } = require('../utils/deviceKeys');
+const { verifyPasskeyAssertion } = require('../utils/webauthn');
+const { analyzeFingerprintConsistency, summarizeSuspicion } = require('../utils/fingerprintConsistency');
+const { assessLoginRisk, summarizeRisk, RISK_MESSAGES } = require('../utils/loginRisk');
+const { isMailConfigured, sendLoginCode } = require('../utils/mailer');
+const { lookupIp, checkImpossibleTravel, checkCountryAccess } = require('../utils/geoip');
+const { checkIpAccess } = require('../utils/ipAddress');
+const {
+  rejectThrottledLogin,
+  rejectSuspiciousDevice,
+  rejectIpAddress,
+  rejectCountry,
+  rejectOutsideAccessWindow,
+  rejectRiskyLogin
+} = require('../utils/loginRejections');
+
+const TWO_FACTOR_MESSAGES = {
+  TOTP_REQUIRED: 'Two-factor authentication code is required.',
+  INVALID_TOTP: 'Invalid two-factor authentication code.'
+};
+
+// Check the TOTP code of a user with two-factor enabled (twoFactor.secret must be selected)
+const checkTwoFactorCode = async (user, code) => {
+  if (!code) {
+    return 'TOTP_REQUIRED';
+  }
+  if (!user.verifyTwoFactorCode(code)) {
+    return 'INVALID_TOTP';
+  }
+  await user.save();
+  return null;
+};
 
 // Register new user
 router.post('/register', authLimiter, async (req, res) => {
@@ -61,15 +115,21 @@ router.post('/register', authLimiter, async (req, res) => {
       email: sanitizedEmail,
       password
     });
+    const recoveryCodes = user.generateRecoveryCodes();
 
     await user.save();
+    await user.loadRoles();
 
     // Register first device
     const deviceId = user.generateDeviceId(req);
     await user.registerDevice(deviceId, req);
 
+    await AuditEvent.record(req, { action: 'auth.register', actor: user._id, target: user._id, deviceId });
+    await AuditEvent.record(req, { action: 'device.registered', actor: user._id, target: user._id, deviceId, reason: 'first-device' });
+
     // Generate token
-    const token = generateToken(user._id);
+    const { token, refreshToken } = await generateToken(user._id, deviceId, req);
+    setRefreshCookie(res, refreshToken);
 
     res.status(201).json({
       success: true,
@@ -82,7 +142,10 @@ router.post('/register', authLimiter, async (req, res) => {
           role: user.isAdmin() ? 'admin' : 'user'
         },
         token,
-        deviceRegistered: true
+        refreshToken,
+        deviceRegistered: true,
+        // Shown only once; the user must store them somewhere safe
+        recoveryCodes
       }
     });
 
@@ -107,7 +170,7 @@ router.post('/register', authLimiter, async (req, res) => {
 // Login user
 router.post('/login', authLimiter, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, totpCode, recoveryCode, passkey, emailCode, emailCodeId } = req.body;
 
     // Validation
     if (!email || !password) {
@@ -121,34 +184,201 @@ router.post('/login', authLimiter, async (req, res) => {
     const sanitizedEmail = email.trim().toLowerCase();
 
     // Find user
-    const user = await User.findOne({ email: sanitizedEmail });
+    const user = await User.findOne({ email: sanitizedEmail })
+      .select('+twoFactor.secret +recoveryCodes')
+      .populate('roles');
     if (!user || !user.isActive) {
+      await AuditEvent.record(req, {
+        action: 'auth.login',
+        outcome: 'failure',
+        reason: user ? 'user-inactive' : 'unknown-user',
+        target: user ? user._id : null,
+        metadata: { email: sanitizedEmail }
+      });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials.'
       });
     }
 
+    // Failed sign-ins of this account slow down and eventually lock further attempts
+    const throttle = user.getLoginThrottle();
+    if (throttle) {
+      return rejectThrottledLogin(req, res, 'auth.login', user, throttle);
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await User.recordLoginFailure(user._id);
+      await AuditEvent.record(req, { action: 'auth.login', outcome: 'failure', reason: 'invalid-password', target: user._id });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials.'
       });
     }
 
+    // Check second factor
+    if (user.twoFactor.enabled) {
+      const twoFactorError = await checkTwoFactorCode(user, totpCode);
+      if (twoFactorError === 'INVALID_TOTP') {
+        await User.recordLoginFailure(user._id);
+      }
+      if (twoFactorError) {
+        await AuditEvent.record(req, {
+          action: 'auth.login',
+          outcome: 'failure',
+          reason: twoFactorError === 'TOTP_REQUIRED' ? 'totp-required' : 'invalid-totp',
+          target: user._id
+        });
+        return res.status(401).json({
+          success: false,
+          message: TWO_FACTOR_MESSAGES[twoFactorError],
+          code: twoFactorError,
+          data: { requiresTwoFactor: true }
+        });
+      }
+    }
+    const tokenOptions = { twoFactorVerified: user.twoFactor.enabled };
+
+    // Contradictory or automated device traits block the login or force an admin review
+    const suspicion = analyzeFingerprintConsistency(req);
+    if (suspicion.action === 'block') {
+      return rejectSuspiciousDevice(req, res, 'auth.login', user, null, 'SUSPICIOUS_DEVICE');
+    }
 
     // Generate device ID for current request
     const deviceId = user.generateDeviceId(req);
 
+    // IP range and country allow/deny lists of the user's device policy
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const accessPolicy = await DevicePolicy.resolveForUser(user._id);
+    const ipAccess = checkIpAccess(ipAddress, accessPolicy);
+    if (!ipAccess.allowed) {
+      return rejectIpAddress(req, res, 'auth.login', user, deviceId, ipAccess.rule);
+    }
+    const countryAccess = checkCountryAccess(ipAddress, accessPolicy);
+    if (!countryAccess.allowed) {
+      return rejectCountry(req, res, 'auth.login', user, deviceId, countryAccess.country);
+    }
+
+    // Access windows of the user or their roles
+    const access = await AccessSchedule.checkAccess(user);
+    if (!access.allowed) {
+      return rejectOutsideAccessWindow(req, res, user, deviceId, access.schedules);
+    }
+
+    // A sign-in too far from the previous one for the time in between
+    const travel = checkImpossibleTravel(await Session.findLastLogin(user._id), lookupIp(ipAddress));
+    if (travel && travel.impossible) {
+      await AuditEvent.record(req, { action: 'auth.impossible-travel', target: user._id, deviceId, metadata: travel });
+    }
+
+    // Score the sign-in; the score is recorded with every audit event of this request
+    const risk = assessLoginRisk(req, user, {
+      deviceId,
+      suspicion,
+      travel,
+      recentFailures: user.loginLockout.failedAttempts
+    });
+    req.loginRisk = summarizeRisk(risk);
+    if (risk.action === 'deny') {
+      return rejectRiskyLogin(req, res, user, deviceId, 'LOGIN_RISK_DENIED');
+    }
+
+    // A TOTP code or passkey given with this sign-in already is a second factor
+    let stepUpCode = null;
+    if (risk.action === 'step-up' && !user.twoFactor.enabled && !passkey) {
+      if (!emailCode) {
+        return requestLoginStepUp(req, res, user, deviceId);
+      }
+      stepUpCode = await LoginCode.verify(emailCodeId, user._id, deviceId, emailCode);
+      if (!stepUpCode) {
+        await User.recordLoginFailure(user._id);
+        return rejectRiskyLogin(req, res, user, deviceId, 'INVALID_STEP_UP_CODE');
+      }
+    }
+
+    // Issue the session, using up the step-up code that admitted this sign-in
+    const issueLoginTokens = async (sessionDeviceId) => {
+      if (stepUpCode) {
+        await LoginCode.consume(stepUpCode._id);
+      }
+      return generateToken(user._id, sessionDeviceId, req, tokenOptions);
+    };
+
+    // Correct credentials end the back-off
+    if (user.loginLockout.failedAttempts > 0) {
+      await User.resetLoginFailures(user._id);
+    }
+
+    // A passkey assertion proves the device directly, whatever its fingerprint looks like now
+    if (passkey) {
+      let storedCredential;
+      try {
+        ({ storedCredential } = await verifyPasskeyAssertion(user, passkey));
+      } catch (error) {
+        if (error.code !== 'INVALID_WEBAUTHN_RESPONSE') throw error;
+        await User.recordLoginFailure(user._id);
+        await AuditEvent.record(req, { action: 'auth.login', outcome: 'failure', reason: 'invalid-passkey', target: user._id });
+        return res.status(401).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      if (!user.isDeviceRegistered(storedCredential.deviceId)) {
+        await user.save();
+        await AuditEvent.record(req, { action: 'auth.login', outcome: 'failure', reason: 'passkey-device-removed', target: user._id, deviceId: storedCredential.deviceId });
+        return res.status(403).json({
+          success: false,
+          message: 'The device this passkey belongs to is no longer registered.',
+          code: 'DEVICE_NOT_AUTHORIZED'
+        });
+      }
+
+      user.currentDeviceId = storedCredential.deviceId;
+      await user.updateDeviceLastUsed(storedCredential.deviceId, user.getDeviceFingerprint(req).stableFingerprint);
+      await AuditEvent.record(req, { action: 'auth.login', actor: user._id, target: user._id, deviceId: storedCredential.deviceId, reason: 'passkey' });
+      const { token, refreshToken } = await issueLoginTokens(storedCredential.deviceId);
+      setRefreshCookie(res, refreshToken);
+
+      return res.json({
+        success: true,
+        message: 'Login successful. Device verified with passkey.',
+        data: {
+          user: {
+            id: user._id,
+            username: user.username,
+            email: user.email,
+            role: user.isAdmin() ? 'admin' : 'user'
+          },
+          token,
+          refreshToken,
+          passkeyUsed: true
+        }
+      });
+    }
+
+    // A registered device whose id changed only through a browser update keeps working
+    // (suspicious traits never re-key silently)
+    const rekey = suspicion.action === 'allow' ? user.rekeyDevice(req) : null;
+    if (rekey) {
+      await saveDeviceRekey(req, user, rekey);
+    }
+
     // Check if device is registered
     if (!user.isDeviceRegistered(deviceId)) {
-      // Admin users can login from any device without restrictions
-      if (user.isAdmin()) {
+      // Users with the bypass permission can login from any device without restrictions
+      if (user.hasPermission('devices:bypass')) {
         // Register the device for admin user and allow login
         await user.registerDevice(deviceId, req);
-        const token = generateToken(user._id);
+        await AuditEvent.record(req, { action: 'device.registered', actor: user._id, target: user._id, deviceId, reason: 'admin-bypass' });
+        await AuditEvent.record(req, { action: 'auth.login', actor: user._id, target: user._id, deviceId, reason: 'admin-bypass' });
+
+        const { token, refreshToken } = await issueLoginTokens(deviceId);
+        setRefreshCookie(res, refreshToken);
         
         return res.json({
           success: true,
@@ -161,15 +391,20 @@ router.post('/login', authLimiter, async (req, res) => {
               role: user.isAdmin() ? 'admin' : 'user'
             },
             token,
+            refreshToken,
             adminBypass: true
           }
         });
       }
       
       // If user has no registered devices (first time login), register the device automatically
-      if (user.registeredDevices.length === 0) {
+      if (user.registeredDevices.length === 0 && suspicion.action === 'allow') {
         await user.registerDevice(deviceId, req);
-        const token = generateToken(user._id);
+        await AuditEvent.record(req, { action: 'device.registered', actor: user._id, target: user._id, deviceId, reason: 'first-device' });
+        await AuditEvent.record(req, { action: 'auth.login', actor: user._id, target: user._id, deviceId, reason: 'first-device' });
+
+        const { token, refreshToken } = await issueLoginTokens(deviceId);
+        setRefreshCookie(res, refreshToken);
         
         return res.json({
           success: true,
@@ -181,7 +416,8 @@ router.post('/login', authLimiter, async (req, res) => {
               email: user.email,
               role: user.isAdmin() ? 'admin' : 'user'
             },
-            token
+            token,
+            refreshToken
           }
         });
       }
@@ -191,15 +427,37 @@ router.post('/login', authLimiter, async (req, res) => {
       const currentFingerprint = user.getDeviceFingerprint(req);
       const ipChangeDetection = detectIPChange(currentFingerprint, user.registeredDevices);
       
-      if (ipChangeDetection.isIPChange) {
+      if (ipChangeDetection.isIPChange && suspicion.action === 'allow') {
         // Update the existing device with new IP and allow login
         const similarDevice = ipChangeDetection.similarDevice;
+
+        const proofError = await checkDeviceProof(req, similarDevice);
+        if (proofError) {
+          return rejectDeviceProof(req, res, user, similarDevice.deviceId, proofError);
+        }
+
         similarDevice.deviceInfo.ipAddress = currentFingerprint.fingerprint.ip;
+        similarDevice.deviceInfo.location = User.getDeviceInfo(req).location;
         similarDevice.lastUsed = new Date();
         user.currentDeviceId = similarDevice.deviceId;
         await user.save();
+
+        await AuditEvent.record(req, {
+          action: 'device.ip-change',
+          actor: user._id,
+          target: user._id,
+          deviceId: similarDevice.deviceId,
+          metadata: {
+            presentedDeviceId: deviceId,
+            similarity: ipChangeDetection.similarity,
+            confidence: ipChangeDetection.confidence,
+            traits: ipChangeDetection.traits
+          }
+        });
+        await AuditEvent.record(req, { action: 'auth.login', actor: user._id, target: user._id, deviceId: similarDevice.deviceId, reason: 'ip-change' });
         
-        const token = generateToken(user._id);
+        const { token, refreshToken } = await issueLoginTokens(similarDevice.deviceId);
+        setRefreshCookie(res, refreshToken);
         
         return res.json({
           success: true,
@@ -212,16 +470,120 @@ router.post('/login', authLimiter, async (req, res) => {
               role: user.isAdmin() ? 'admin' : 'user'
             },
             token,
+            refreshToken,
             ipChangeDetected: true,
-            similarity: ipChangeDetection.similarity
+            similarity: ipChangeDetection.similarity,
+            confidence: ipChangeDetection.confidence
           }
         });
       }
       
+      // A recovery code lets the user approve the device change themselves
+      if (recoveryCode) {
+        if (suspicion.action === 'review') {
+          return rejectSuspiciousDevice(req, res, 'auth.login', user, deviceId, 'DEVICE_REVIEW_REQUIRED');
+        }
+
+        // Check the device policy first so a rejected change doesn't burn the code
+        const policy = await DevicePolicy.resolveForUser(user._id);
+        if (!user.canAddDevice(policy)) {
+          await AuditEvent.record(req, { action: 'auth.login', outcome: 'failure', reason: 'device-limit-reached', target: user._id, deviceId });
+          return res.status(409).json({
+            success: false,
+            message: 'Maximum number of registered devices reached.',
+            code: 'DEVICE_LIMIT_REACHED'
+          });
+        }
+        try {
+          await DeviceChangeRequest.assertWithinQuota(user._id, policy, { checkPending: false });
+        } catch (error) {
+          if (!DeviceChangeRequest.QUOTA_ERROR_CODES.includes(error.code)) throw error;
+          return rejectDeviceChangeQuota(req, res, 'auth.login', user, deviceId, error);
+        }
+
+        if (!user.redeemRecoveryCode(recoveryCode)) {
+          await User.recordLoginFailure(user._id);
+          await AuditEvent.record(req, { action: 'auth.login', outcome: 'failure', reason: 'invalid-recovery-code', target: user._id, deviceId });
+          return res.status(401).json({
+            success: false,
+            message: 'Invalid or already used recovery code.',
+            code: 'INVALID_RECOVERY_CODE'
+          });
+        }
+        await user.save();
+
+        // Reuse a pending request for this device so it doesn't linger in the admin queue
+        const deviceChangeRequest = await DeviceChangeRequest.findOne({
+          user: user._id,
+          newDeviceId: deviceId,
+          status: 'pending'
+        }) || new DeviceChangeRequest({
+          user: user._id,
+          username: user.username,
+          email: user.email,
+          currentDeviceId: user.currentDeviceId || 'none',
+          newDeviceId: deviceId,
+          newDeviceInfo: User.getDeviceInfo(req),
+          newDeviceFingerprint: currentFingerprint.stableFingerprint,
+          suspicion: summarizeSuspicion(suspicion),
+          currentDeviceInfo: user.registeredDevices.find(d => d.deviceId === user.currentDeviceId)?.deviceInfo || {},
+          twoFactorVerified: user.twoFactor.enabled,
+          reason: 'Self-approved with recovery code'
+        });
+
+        await deviceChangeRequest.approve({
+          reviewedBy: user._id,
+          approvalMethod: 'recovery-code'
+        });
+        await AuditEvent.record(req, {
+          action: 'request.approved',
+          actor: user._id,
+          target: user._id,
+          request: deviceChangeRequest._id,
+          deviceId,
+          reason: 'recovery-code'
+        });
+        await enqueueWebhookEvent('device_change.approved', deviceChangeRequest.toWebhookPayload());
+        await AuditEvent.record(req, { action: 'auth.login', actor: user._id, target: user._id, deviceId, reason: 'recovery-code' });
+
+        const { token, refreshToken } = await issueLoginTokens(deviceId);
+        setRefreshCookie(res, refreshToken);
+
+        return res.json({
+          success: true,
+          message: 'Login successful. Device changed with recovery code.',
+          data: {
+            user: {
+              id: user._id,
+              username: user.username,
+              email: user.email,
+              role: user.isAdmin() ? 'admin' : 'user'
+            },
+            token,
+            refreshToken,
+            recoveryCodeUsed: true,
+            recoveryCodesRemaining: user.getRemainingRecoveryCodes(),
+            requestId: deviceChangeRequest._id
+          }
+        });
+      }
+
       // For truly new devices, return device info for user to choose action
       const currentDeviceId = user.currentDeviceId || 'none';
       const currentDeviceInfo = user.registeredDevices.find(d => d.deviceId === user.currentDeviceId)?.deviceInfo || {};
-      
+
+      await AuditEvent.record(req, { action: 'auth.login', outcome: 'failure', reason: 'device-not-registered', target: user._id, deviceId });
+
+      // Offer a pairing code the registered device can confirm, unless the device needs an admin review
+      const requiresReview = suspicion.action === 'review';
+      const { pairing, code: pairingCode } = requiresReview ? {} : await DevicePairing.createForDevice(
+        user._id,
+        deviceId,
+        User.getDeviceInfo(req),
+        currentFingerprint.stableFingerprint,
+        summarizeSuspicion(suspicion)
+      );
+
       return res.status(403).json({
         success: false,
         message: 'Device not registered. Please choose an action.',
@@ -231,18 +593,34 @@ router.post('/login', authLimiter, async (req, res) => {
             userAgent: req.get('User-Agent') || '',
             ipAddress: req.ip || req.connection.remoteAddress,
             platform: req.get('sec-ch-ua-platform') || 'Unknown',
+            location: User.getDeviceInfo(req).location,
             screenRes: req.get('X-Screen-Resolution') || 'unknown',
             timezone: req.get('X-Timezone') || 'UTC'
           },
           currentDeviceInfo: currentDeviceInfo,
-          deviceId: deviceId
+          deviceId: deviceId,
+          requiresReview,
+          pairing: pairing ? {
+            code: pairingCode,
+            expiresAt: pairing.expiresAt,
+            // Opening this link on the registered device pre-fills the confirmation
+            qrPayload: `${req.protocol}://${req.get('host')}/index.html?pair=${encodeURIComponent(pairingCode)}`
+          } : null
         }
       });
     }
 
+    // Devices with an enrolled key must sign a challenge, copied headers are not enough
+    const proofError = await checkDeviceProof(req, user.getRegisteredDevice(deviceId));
+    if (proofError) {
+      return rejectDeviceProof(req, res, user, deviceId, proofError);
+    }
+
     // Update last used time and generate token
-    await user.updateDeviceLastUsed(deviceId);
-    const token = generateToken(user._id);
+    await user.updateDeviceLastUsed(deviceId, user.getDeviceFingerprint(req).stableFingerprint);
+    await AuditEvent.record(req, { action: 'auth.login', actor: user._id, target: user._id, deviceId, reason: 'registered-device' });
+    const { token, refreshToken } = await issueLoginTokens(deviceId);
+    setRefreshCookie(res, refreshToken);
 
     res.json({
       success: true,
@@ -254,11 +632,22 @@ router.post('/login', authLimiter, async (req, res) => {
           email: user.email,
           role: user.isAdmin() ? 'admin' : 'user'
         },
-        token
+        token,
+        refreshToken
       }
     });
 
   } catch (error) {
+    // A concurrent sign-in used the step-up code first
+    if (error.code === 'INVALID_STEP_UP_CODE') {
+      return res.status(401).json({
+        success: false,
+        message: RISK_MESSAGES.INVALID_STEP_UP_CODE,
+        code: error.code,
+        data: { requiresStepUp: true }
+      });
+    }
+
     console.error('Login error:', error);
     res.status(500).json({
       success: false,
@@ -270,8 +659,11 @@ router.post('/login', authLimiter, async (req, res) => {
 // Logout user
 router.post('/logout', verifyToken, async (req, res) => {
   try {
-    // In a real application, you might want to blacklist the token
-    // For this POC, we'll just return success
+    await req.authSession.revoke('logout', req.user._id);
+    await RefreshToken.revokeFamily(req.authSession._id);
+    clearRefreshCookie(res);
+    await AuditEvent.record(req, { action: 'auth.logout', actor: req.user._id, target: req.user._id, deviceId: req.authSession.deviceId });
+
     res.json({
       success: true,
       message: 'Logout successful.'
@@ -285,215 +677,1170 @@ router.post('/logout', verifyToken, async (req, res) => {
   }
 });
 
-// Get current user info
-router.get('/me', verifyToken, async (req, res) => {
+// Logout from every device
+router.post('/logout-all', verifyToken, async (req, res) => {
   try {
-    const user = req.user;
+    const result = await Session.revokeForUser(req.user._id, {
+      reason: 'logout-all',
+      revokedBy: req.user._id
+    });
+    clearRefreshCookie(res);
+    await AuditEvent.record(req, {
+      action: 'auth.logout-all',
+      actor: req.user._id,
+      target: req.user._id,
+      metadata: { revokedSessions: result.modifiedCount }
+    });
+
     res.json({
       success: true,
-      data: {
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          role: user.isAdmin() ? 'admin' : 'user',
-          registeredDevices: user.registeredDevices.length,
-          currentDeviceId: user.currentDeviceId
-        }
-      }
+      message: 'Logged out from all sessions.',
+      data: { revokedSessions: result.modifiedCount }
     });
   } catch (error) {
-    console.error('Get user info error:', error);
+    console.error('Logout all error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to get user information.'
+      message: 'Logout failed.'
     });
   }
 });
 
-// Request device change (authenticated)
-router.post('/request-device-change', verifyToken, async (req, res) => {
-  try {
-    const user = req.user;
-    const deviceId = user.generateDeviceId(req);
-
-    // Check if device is already registered
-    if (user.isDeviceRegistered(deviceId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'This device is already registered.'
-      });
+// Persist a silent device re-key (see User#rekeyDevice) and move its sessions along
+const saveDeviceRekey = async (req, user, rekey) => {
+  await user.save();
+  await Session.rekeyDevice(user._id, rekey.oldDeviceId, rekey.newDeviceId);
+  await AuditEvent.record(req, {
+    action: 'device.rekeyed',
+    actor: user._id,
+    target: user._id,
+    deviceId: rekey.newDeviceId,
+    reason: rekey.reason,
+    metadata: {
+      previousDeviceId: rekey.oldDeviceId,
+      changedTraits: rekey.changedTraits
     }
+  });
+};
 
-    // Check for pending requests
-    const existingRequest = await DeviceChangeRequest.findOne({
-      user: user._id,
-      newDeviceId: deviceId,
-      status: 'pending'
-    });
+// Reject a login from a device whose key proof is missing or invalid
+const rejectDeviceProof = async (req, res, user, deviceId, proofError) => {
+  await AuditEvent.record(req, {
+    action: 'auth.login',
+    outcome: 'failure',
+    reason: proofError === 'DEVICE_PROOF_REQUIRED' ? 'device-proof-required' : 'invalid-device-proof',
+    target: user._id,
+    deviceId
+  });
 
-    if (existingRequest) {
-      return res.status(400).json({
-        success: false,
-        message: 'Device change request already exists for this device.'
-      });
-    }
+  return res.status(401).json({
+    success: false,
+    message: DEVICE_PROOF_MESSAGES[proofError],
+    code: proofError,
+    data: { requiresDeviceProof: true }
+  });
+};
 
-    // Create device change request
-    const currentDeviceId = user.currentDeviceId || 'none';
-    const currentDeviceInfo = user.registeredDevices.find(d => d.deviceId === user.currentDeviceId)?.deviceInfo || {};
-    
-    const deviceChangeRequest = new DeviceChangeRequest({
-      user: user._id,
-      username: user.username,
-      email: user.email,
-      currentDeviceId: currentDeviceId,
-      newDeviceId: deviceId,
-      newDeviceInfo: {
-        userAgent: req.get('User-Agent') || '',
-        ipAddress: req.ip || req.connection.remoteAddress,
-        platform: req.get('sec-ch-ua-platform') || 'Unknown'
-      },
-      currentDeviceInfo: currentDeviceInfo,
-      reason: req.body.reason || 'User requested device change'
-    });
+// Refuse a device change that would exceed the account's device change quotas
+const rejectDeviceChangeQuota = async (req, res, action, user, deviceId, error) => {
+  await AuditEvent.record(req, {
+    action,
+    outcome: 'failure',
+    reason: error.code === 'TOO_MANY_PENDING_REQUESTS' ? 'too-many-pending-requests' : 'device-change-quota-exceeded',
+    target: user._id,
+    deviceId
+  });
 
-    await deviceChangeRequest.save();
+  return res.status(error.status).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+    data: { quota: error.quota }
+  });
+};
 
-    res.status(201).json({
-      success: true,
-      message: 'Device change request created successfully.',
-      data: {
-        requestId: deviceChangeRequest._id,
-        status: deviceChangeRequest.status
-      }
-    });
+// E-mail a one-time code for a risky sign-in of a user without a second factor.
+// The plain code only ever goes to the mail server; LoginCode stores its hash.
+const requestLoginStepUp = async (req, res, user, deviceId) => {
+  if (!isMailConfigured()) {
+    return rejectStepUpUnavailable(req, res, user, deviceId);
+  }
 
+  const { loginCode, code } = await LoginCode.issue(user._id, deviceId);
+  try {
+    await sendLoginCode(user, code, loginCode.expiresAt, req.ip || req.connection.remoteAddress);
   } catch (error) {
-    console.error('Device change request error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create device change request.'
-    });
+    console.error('Send login code error:', error);
+    await LoginCode.deleteOne({ _id: loginCode._id });
+    return rejectStepUpUnavailable(req, res, user, deviceId);
   }
-});
+  await AuditEvent.record(req, { action: 'auth.login', outcome: 'failure', reason: 'step-up-required', target: user._id, deviceId });
 
-// Request device change (unauthenticated - for new device login)
-router.post('/request-device-change-unauth', authLimiter, async (req, res) => {
-  try {
-    const { email, password, reason, deviceId, newDeviceInfo, currentDeviceInfo } = req.body;
+  return res.status(401).json({
+    success: false,
+    message: RISK_MESSAGES.STEP_UP_REQUIRED,
+    code: 'STEP_UP_REQUIRED',
+    data: {
+      requiresStepUp: true,
+      method: 'email-code',
+      emailCodeId: loginCode._id,
+      expiresAt: loginCode.expiresAt
+    }
+  });
+};
 
-    // Validate required fields
-    if (!email || !password || !deviceId || !newDeviceInfo) {
-      return res.status(400).json({
+// Refuse a sign-in that needs an e-mail code when no code can be sent
+const rejectStepUpUnavailable = async (req, res, user, deviceId) => {
+  await AuditEvent.record(req, { action: 'auth.login', outcome: 'failure', reason: 'step-up-unavailable', target: user._id, deviceId });
+
+  return res.status(503).json({
+    success: false,
+    message: RISK_MESSAGES.STEP_UP_UNAVAILABLE,
+    code: 'STEP_UP_UNAVAILABLE'
+  });
+};
+
+// A refresh token that was already used has leaked: kill the whole family
+const rejectReusedRefreshToken = async (req, res, session) => {
+  await session.revoke('refresh-token-reuse');
+  await RefreshToken.revokeFamily(session._id);
+  console.warn(`Refresh token reuse detected. Session ${session._id} revoked.`);
+  await AuditEvent.record(req, {
+    action: 'auth.refresh',
+    outcome: 'failure',
+    reason: 'refresh-token-reuse',
+    target: session.user,
+    metadata: { sessionId: session._id }
+  });
+  clearRefreshCookie(res);
+
+  return res.status(401).json({
+    success: false,
+    message: 'Refresh token has already been used. Please login again.',
+    code: 'REFRESH_TOKEN_REUSED'
+  });
+};
+
+// Exchange a refresh token for a new access token (rotating the refresh token)
+router.post('/refresh', authLimiter, async (req, res) => {
+  try {
+    const presentedToken = getRefreshToken(req);
+    if (!presentedToken) {
+      return res.status(401).json({
         success: false,
-        message: 'Email, password, device ID, and device info are required.'
+        message: 'Refresh token is required.',
+        code: 'INVALID_REFRESH_TOKEN'
       });
     }
 
-    // Find user
-    const user = await User.findOne({ email: email.trim().toLowerCase() });
-    if (!user || !user.isActive) {
+    let decoded;
+    try {
+      decoded = jwt.verify(presentedToken, config.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    const storedToken = decoded && decoded.type === 'refresh' && decoded.jti
+      ? await RefreshToken.findById(decoded.jti)
+      : null;
+
+    if (!storedToken) {
+      clearRefreshCookie(res);
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials.'
+        message: 'Invalid or expired refresh token. Please login again.',
+        code: 'INVALID_REFRESH_TOKEN'
       });
     }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
+    const session = await Session.findById(storedToken.session);
+    if (!session || !session.isValid()) {
+      clearRefreshCookie(res);
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials.'
+        message: 'Session has been revoked. Please login again.',
+        code: 'SESSION_REVOKED'
       });
     }
 
-    // Check if device is already registered
-    if (user.isDeviceRegistered(deviceId)) {
-      return res.status(400).json({
+    if (storedToken.usedAt) {
+      return rejectReusedRefreshToken(req, res, session);
+    }
+
+    const user = await User.findById(storedToken.user);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
         success: false,
-        message: 'This device is already registered.'
+        message: 'Invalid token or user not found.'
       });
     }
 
-    // Check for pending requests
-    const existingRequest = await DeviceChangeRequest.findOne({
-      user: user._id,
-      newDeviceId: deviceId,
-      status: 'pending'
-    });
+    // Refresh tokens only work on the device they were issued to,
+    // unless that device was only re-keyed by a browser update
+    const deviceId = user.generateDeviceId(req);
+    if (deviceId !== storedToken.deviceId) {
+      const rekey = analyzeFingerprintConsistency(req).action === 'allow' ? user.rekeyDevice(req) : null;
+      if (rekey && rekey.oldDeviceId === session.deviceId) {
+        await saveDeviceRekey(req, user, rekey);
+      } else {
+        return res.status(403).json({
+          success: false,
+          message: 'Device not authorized. Please request device change.',
+          code: 'DEVICE_NOT_AUTHORIZED'
+        });
+      }
+    }
 
-    if (existingRequest) {
-      return res.status(400).json({
-        success: false,
-        message: 'Device change request already exists for this device.'
-      });
+    const consumedToken = await RefreshToken.consume(storedToken._id);
+    if (!consumedToken) {
+      return rejectReusedRefreshToken(req, res, session);
     }
 
-    // Create device change request
-    const currentDeviceId = user.currentDeviceId || 'none';
-    
-    const deviceChangeRequest = new DeviceChangeRequest({
-      user: user._id,
-      username: user.username,
-      email: user.email,
-      currentDeviceId: currentDeviceId,
-      newDeviceId: deviceId,
-      newDeviceInfo: newDeviceInfo,
-      currentDeviceInfo: currentDeviceInfo || {},
-      reason: reason || 'Login attempt from new device'
-    });
+    const { token: refreshToken, refreshToken: newRefreshToken } = await issueRefreshToken(session, deviceId);
+    consumedToken.replacedBy = newRefreshToken._id;
+    await consumedToken.save();
 
-    await deviceChangeRequest.save();
+    const token = signAccessToken(user._id, session._id, deviceId);
+    setRefreshCookie(res, refreshToken);
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Device change request created successfully.',
+      message: 'Token refreshed successfully.',
       data: {
-        requestId: deviceChangeRequest._id,
-        status: deviceChangeRequest.status
+        token,
+        refreshToken
       }
     });
 
   } catch (error) {
-    console.error('Unauthenticated device change request error:', error);
+    console.error('Token refresh error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to create device change request.'
+      message: 'Token refresh failed.'
     });
   }
 });
 
-// Register new device (user choice)
-router.post('/register-device', verifyToken, async (req, res) => {
+// Get current user info
+router.get('/me', verifyToken, validateDevice, async (req, res) => {
   try {
     const user = req.user;
-    const deviceId = user.generateDeviceId(req);
-
-    // Check if device is already registered
-    if (user.isDeviceRegistered(deviceId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'This device is already registered.'
-      });
-    }
-
-    // Register the new device
-    await user.registerDevice(deviceId, req);
-    const token = generateToken(user._id);
-
+    const userWithCodes = await User.findById(user._id).select('+recoveryCodes');
+    const devicePolicy = await DevicePolicy.resolveForUser(user._id);
+    const deviceChangeQuota = await DeviceChangeRequest.getQuotaUsage(user._id, devicePolicy);
+    const currentDevice = user.getRegisteredDevice(req.authSession.deviceId);
     res.json({
       success: true,
-      message: 'Device registered successfully.',
       data: {
         user: {
           id: user._id,
           username: user.username,
           email: user.email,
-          role: user.isAdmin() ? 'admin' : 'user'
-        },
-        token
+          role: user.isAdmin() ? 'admin' : 'user',
+          roles: user.getRoleNames(),
+          permissions: user.getPermissions(),
+          twoFactorEnabled: user.twoFactor.enabled,
+          recoveryCodesRemaining: userWithCodes.getRemainingRecoveryCodes(),
+          registeredDevices: user.registeredDevices.length,
+          currentDeviceId: user.currentDeviceId,
+          deviceKeyEnrolled: Boolean(currentDevice && currentDevice.publicKey),
+          devicePolicy: DevicePolicy.toUserView(devicePolicy),
+          deviceChangeQuota
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get user info error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get user information.'
+    });
+  }
+});
+
+// Regenerate recovery codes (invalidates all previous codes)
+router.post('/me/recovery-codes', verifyToken, validateDevice, async (req, res) => {
+  try {
+    const { password } = req.body;
+    const user = await User.findById(req.user._id).select('+recoveryCodes');
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials.'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+    await AuditEvent.record(req, { action: 'recovery-codes.regenerated', actor: user._id, target: user._id });
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate recovery codes.'
+    });
+  }
+});
+
+// List the current user's registered devices
+router.get('/devices', verifyToken, validateDevice, async (req, res) => {
+  try {
+    const user = req.user;
+    const devices = [...user.registeredDevices]
+      .sort((a, b) => b.lastUsed - a.lastUsed)
+      .map(device => ({
+        deviceId: device.deviceId,
+        name: device.name || null,
+        platform: device.deviceInfo && device.deviceInfo.platform,
+        userAgent: device.deviceInfo && device.deviceInfo.userAgent,
+        ipAddress: device.deviceInfo && device.deviceInfo.ipAddress,
+        location: device.deviceInfo && device.deviceInfo.location,
+        registeredAt: device.registeredAt,
+        lastUsed: device.lastUsed,
+        deviceKeyEnrolled: Boolean(device.publicKey),
+        passkeys: user.webauthnCredentials.filter(credential => credential.deviceId === device.deviceId).length,
+        // The device this request comes from
+        isCurrent: device.deviceId === req.authSession.deviceId
+      }));
+
+    res.json({
+      success: true,
+      data: { devices }
+    });
+  } catch (error) {
+    console.error('Get devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get devices.'
+    });
+  }
+});
+
+// Give one of the current user's devices a friendly name (null or '' clears it)
+router.patch('/devices/:deviceId', verifyToken, validateDevice, async (req, res) => {
+  try {
+    const user = req.user;
+    const { deviceId } = req.params;
+    const { name } = req.body;
+
+    if (name !== null && typeof name !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Device name must be a string or null.'
+      });
+    }
+
+    const device = user.getRegisteredDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found.'
+      });
+    }
+
+    const previousName = device.name || null;
+    device.name = name ? name : undefined;
+    await user.save();
+
+    await AuditEvent.record(req, {
+      action: 'device.renamed',
+      actor: user._id,
+      target: user._id,
+      deviceId,
+      metadata: { previousName, name: device.name || null }
+    });
+
+    res.json({
+      success: true,
+      message: 'Device updated successfully.',
+      data: {
+        device: {
+          deviceId,
+          name: device.name || null
+        }
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Device name must be at most 50 characters.'
+      });
+    }
+
+    console.error('Update device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update device.'
+    });
+  }
+});
+
+// Remove one of the current user's other devices, signing it out
+router.delete('/devices/:deviceId', verifyToken, validateDevice, async (req, res) => {
+  try {
+    const user = req.user;
+    const { deviceId } = req.params;
+
+    if (deviceId === req.authSession.deviceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'The device you are using cannot be removed. Remove it from another device or log out instead.',
+        code: 'CANNOT_REMOVE_CURRENT_DEVICE'
+      });
+    }
+
+    const device = user.removeDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found.'
+      });
+    }
+    await user.save();
+
+    const result = await Session.revokeForUser(user._id, {
+      reason: 'device-removed',
+      revokedBy: user._id,
+      deviceId
+    });
+    await AuditEvent.record(req, {
+      action: 'device.removed',
+      actor: user._id,
+      target: user._id,
+      deviceId,
+      reason: 'user-removed',
+      metadata: {
+        name: device.name,
+        platform: device.deviceInfo && device.deviceInfo.platform,
+        revokedSessions: result.modifiedCount
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Device removed. It has been signed out and must be registered again to be used.',
+      data: { revokedSessions: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Remove device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove device.'
+    });
+  }
+});
+
+// Issue a single-use nonce for a device key to sign
+router.post('/device-key/challenge', async (req, res) => {
+  try {
+    const challenge = await DeviceChallenge.issue();
+
+    res.json({
+      success: true,
+      data: {
+        challengeId: challenge._id,
+        nonce: challenge.nonce,
+        expiresAt: challenge.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Device challenge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create device challenge.'
+    });
+  }
+});
+
+// Enroll (or rotate) the key of the current device; the new key must sign a challenge
+router.post('/device-key', verifyToken, validateDevice, async (req, res) => {
+  try {
+    const { publicKey, challengeId, signature } = req.body;
+
+    const normalizedKey = normalizePublicKey(publicKey);
+    if (!normalizedKey) {
+      return res.status(400).json({
+        success: false,
+        message: 'An ECDSA P-256 public key in JWK format is required.'
+      });
+    }
+
+    if (!challengeId || !signature || !await verifyDeviceProof(normalizedKey, { challengeId, signature })) {
+      return res.status(400).json({
+        success: false,
+        message: DEVICE_PROOF_MESSAGES.INVALID_DEVICE_PROOF,
+        code: 'INVALID_DEVICE_PROOF'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const device = user.getRegisteredDevice(req.authSession.deviceId);
+    if (!device) {
+      return res.status(403).json({
+        success: false,
+        message: 'Device not authorized. Please request device change.',
+        code: 'DEVICE_NOT_AUTHORIZED'
+      });
+    }
+
+    const rotated = Boolean(device.publicKey);
+    device.publicKey = normalizedKey;
+    device.keyEnrolledAt = new Date();
+    await user.save();
+
+    await AuditEvent.record(req, {
+      action: rotated ? 'device.key-rotated' : 'device.key-enrolled',
+      actor: user._id,
+      target: user._id,
+      deviceId: device.deviceId
+    });
+
+    res.json({
+      success: true,
+      message: 'Device key enrolled. This device must now sign a challenge to log in.',
+      data: {
+        deviceId: device.deviceId,
+        keyEnrolledAt: device.keyEnrolledAt
+      }
+    });
+  } catch (error) {
+    console.error('Device key enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enroll device key.'
+    });
+  }
+});
+
+// Start two-factor enrollment: generate a secret for the authenticator app
+router.post('/2fa/setup', verifyToken, validateDevice, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled.'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code.',
+      data: {
+        secret,
+        otpauthUri: totp.buildOtpauthUri(secret, user.email, config.TOTP_ISSUER)
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup.'
+    });
+  }
+});
+
+// Finish two-factor enrollment by confirming a code from the new secret
+router.post('/2fa/enable', verifyToken, validateDevice, async (req, res) => {
+  try {
+    const { totpCode } = req.body;
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled.'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor setup has not been started.'
+      });
+    }
+
+    const step = totp.verifyCode(user.twoFactor.pendingSecret, totpCode);
+    if (step === null) {
+      return res.status(401).json({
+        success: false,
+        message: TWO_FACTOR_MESSAGES.INVALID_TOTP,
+        code: 'INVALID_TOTP'
+      });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+
+    // The code just proved possession of the second factor for this session
+    req.authSession.twoFactorVerified = true;
+    await req.authSession.save();
+    await AuditEvent.record(req, { action: '2fa.enabled', actor: user._id, target: user._id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled successfully.'
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication.'
+    });
+  }
+});
+
+// Disable two-factor authentication (not allowed for admins)
+router.post('/2fa/disable', verifyToken, validateDevice, async (req, res) => {
+  try {
+    const { password, totpCode } = req.body;
+
+    if (req.user.isAdmin()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is mandatory for admin accounts.'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.secret');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled.'
+      });
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials.'
+      });
+    }
+
+    const twoFactorError = await checkTwoFactorCode(user, totpCode);
+    if (twoFactorError) {
+      return res.status(401).json({
+        success: false,
+        message: TWO_FACTOR_MESSAGES[twoFactorError],
+        code: twoFactorError
+      });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.enabledAt = undefined;
+    user.twoFactor.lastUsedStep = null;
+    await user.save();
+    await AuditEvent.record(req, { action: '2fa.disabled', actor: user._id, target: user._id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled successfully.'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication.'
+    });
+  }
+});
+
+// List pairing offers waiting for confirmation on this (registered) device
+router.get('/pairing', verifyToken, validateDevice, async (req, res) => {
+  try {
+    const pairings = await DevicePairing.find({
+      user: req.user._id,
+      confirmedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('-codeHash')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { pairings }
+    });
+  } catch (error) {
+    console.error('Get pairings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get pairing requests.'
+    });
+  }
+});
+
+// Confirm a pairing code shown on a new device, moving the account to it
+router.post('/pairing/confirm', verifyToken, validateDevice, async (req, res) => {
+  try {
+    const user = req.user;
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pairing code is required.'
+      });
+    }
+
+    const pairing = await DevicePairing.findActiveByCode(user._id, code);
+    if (!pairing) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired pairing code.',
+        code: 'INVALID_PAIRING_CODE'
+      });
+    }
+
+    if (user.isDeviceRegistered(pairing.newDeviceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This device is already registered.'
+      });
+    }
+
+    const policy = await DevicePolicy.resolveForUser(user._id);
+    if (!user.canAddDevice(policy)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Maximum number of registered devices reached. Remove a device first.',
+        code: 'DEVICE_LIMIT_REACHED'
+      });
+    }
+    try {
+      await DeviceChangeRequest.assertWithinQuota(user._id, policy, { checkPending: false });
+    } catch (error) {
+      if (!DeviceChangeRequest.QUOTA_ERROR_CODES.includes(error.code)) throw error;
+      return rejectDeviceChangeQuota(req, res, 'request.approved', user, pairing.newDeviceId, error);
+    }
+
+    // Reuse a pending request for this device so it doesn't linger in the admin queue
+    const deviceChangeRequest = await DeviceChangeRequest.findOne({
+      user: user._id,
+      newDeviceId: pairing.newDeviceId,
+      status: 'pending'
+    }) || new DeviceChangeRequest({
+      user: user._id,
+      username: user.username,
+      email: user.email,
+      currentDeviceId: user.currentDeviceId || 'none',
+      newDeviceId: pairing.newDeviceId,
+      newDeviceInfo: pairing.newDeviceInfo,
+      newDeviceFingerprint: pairing.newDeviceFingerprint,
+      suspicion: pairing.suspicion,
+      currentDeviceInfo: user.registeredDevices.find(d => d.deviceId === user.currentDeviceId)?.deviceInfo || {},
+      twoFactorVerified: req.authSession.twoFactorVerified,
+      reason: 'Confirmed from registered device'
+    });
+
+    await deviceChangeRequest.approve({
+      reviewedBy: user._id,
+      approvalMethod: 'device-pairing'
+    });
+
+    pairing.confirmedAt = new Date();
+    pairing.request = deviceChangeRequest._id;
+    await pairing.save();
+
+    await AuditEvent.record(req, {
+      action: 'request.approved',
+      actor: user._id,
+      target: user._id,
+      request: deviceChangeRequest._id,
+      deviceId: pairing.newDeviceId,
+      reason: 'device-pairing'
+    });
+    await enqueueWebhookEvent('device_change.approved', deviceChangeRequest.toWebhookPayload());
+
+    res.json({
+      success: true,
+      message: 'Device change confirmed. You can now log in on the new device.',
+      data: {
+        requestId: deviceChangeRequest._id,
+        status: deviceChangeRequest.status
+      }
+    });
+  } catch (error) {
+    console.error('Confirm pairing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm pairing.'
+    });
+  }
+});
+
+// Request device change (authenticated)
+router.post('/request-device-change', verifyTokenFromNewDevice, deviceChangeLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.secret');
+    const deviceId = user.generateDeviceId(req);
+
+    // Check if device is already registered
+    if (user.isDeviceRegistered(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This device is already registered.'
+      });
+    }
+
+    // Users with two-factor enabled must confirm the request with a code
+    if (user.twoFactor.enabled) {
+      const twoFactorError = await checkTwoFactorCode(user, req.body.totpCode);
+      if (twoFactorError) {
+        return res.status(401).json({
+          success: false,
+          message: TWO_FACTOR_MESSAGES[twoFactorError],
+          code: twoFactorError
+        });
+      }
+    }
+
+    const suspicion = analyzeFingerprintConsistency(req);
+    if (suspicion.action === 'block') {
+      return rejectSuspiciousDevice(req, res, 'request.created', user, deviceId, 'SUSPICIOUS_DEVICE');
+    }
+
+    // Check for pending requests
+    const existingRequest = await DeviceChangeRequest.findOne({
+      user: user._id,
+      newDeviceId: deviceId,
+      status: 'pending'
+    });
+
+    if (existingRequest) {
+      return res.status(400).json({
+        success: false,
+        message: 'Device change request already exists for this device.'
+      });
+    }
+
+    // Account-level quotas, independent of the IP the request comes from
+    const policy = await DevicePolicy.resolveForUser(user._id);
+    try {
+      await DeviceChangeRequest.assertWithinQuota(user._id, policy);
+    } catch (error) {
+      if (!DeviceChangeRequest.QUOTA_ERROR_CODES.includes(error.code)) throw error;
+      return rejectDeviceChangeQuota(req, res, 'request.created', user, deviceId, error);
+    }
+
+    // Create device change request
+    const currentDeviceId = user.currentDeviceId || 'none';
+    const currentDeviceInfo = user.registeredDevices.find(d => d.deviceId === user.currentDeviceId)?.deviceInfo || {};
+    
+    const deviceChangeRequest = new DeviceChangeRequest({
+      user: user._id,
+      username: user.username,
+      email: user.email,
+      currentDeviceId: currentDeviceId,
+      newDeviceId: deviceId,
+      newDeviceInfo: User.getDeviceInfo(req),
+      newDeviceFingerprint: user.getDeviceFingerprint(req).stableFingerprint,
+      suspicion: summarizeSuspicion(suspicion),
+      currentDeviceInfo: currentDeviceInfo,
+      twoFactorVerified: user.twoFactor.enabled,
+      reason: req.body.reason || 'User requested device change'
+    });
+
+    await deviceChangeRequest.save();
+    await AuditEvent.record(req, {
+      action: 'request.created',
+      actor: user._id,
+      target: user._id,
+      request: deviceChangeRequest._id,
+      deviceId
+    });
+    await enqueueWebhookEvent('device_change.requested', deviceChangeRequest.toWebhookPayload());
+
+    res.status(201).json({
+      success: true,
+      message: 'Device change request created successfully.',
+      data: {
+        requestId: deviceChangeRequest._id,
+        status: deviceChangeRequest.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Device change request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create device change request.'
+    });
+  }
+});
+
+// Request device change (unauthenticated - for new device login)
+router.post('/request-device-change-unauth', authLimiter, deviceChangeLimiter, async (req, res) => {
+  try {
+    const { email, password, totpCode, reason, deviceId, newDeviceInfo, currentDeviceInfo } = req.body;
+
+    // Validate required fields
+    if (!email || !password || !deviceId || !newDeviceInfo) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email, password, device ID, and device info are required.'
+      });
+    }
+
+    // Find user
+    const user = await User.findOne({ email: email.trim().toLowerCase() }).select('+twoFactor.secret');
+    if (!user || !user.isActive) {
+      await AuditEvent.record(req, {
+        action: 'request.created',
+        outcome: 'failure',
+        reason: user ? 'user-inactive' : 'unknown-user',
+        target: user ? user._id : null,
+        metadata: { email: email.trim().toLowerCase() }
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials.'
+      });
+    }
+
+    // Failed sign-ins of this account slow down and eventually lock further attempts
+    const throttle = user.getLoginThrottle();
+    if (throttle) {
+      return rejectThrottledLogin(req, res, 'request.created', user, throttle);
+    }
+
+    // Check password
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      await User.recordLoginFailure(user._id);
+      await AuditEvent.record(req, { action: 'request.created', outcome: 'failure', reason: 'invalid-password', target: user._id });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials.'
+      });
+    }
+
+    // Check second factor
+    if (user.twoFactor.enabled) {
+      const twoFactorError = await checkTwoFactorCode(user, totpCode);
+      if (twoFactorError === 'INVALID_TOTP') {
+        await User.recordLoginFailure(user._id);
+      }
+      if (twoFactorError) {
+        await AuditEvent.record(req, {
+          action: 'request.created',
+          outcome: 'failure',
+          reason: twoFactorError === 'TOTP_REQUIRED' ? 'totp-required' : 'invalid-totp',
+          target: user._id
+        });
+        return res.status(401).json({
+          success: false,
+          message: TWO_FACTOR_MESSAGES[twoFactorError],
+          code: twoFactorError,
+          data: { requiresTwoFactor: true }
+        });
+      }
+    }
+
+    // Correct credentials end the back-off
+    if (user.loginLockout.failedAttempts > 0) {
+      await User.resetLoginFailures(user._id);
+    }
+
+    // Check if device is already registered
+    if (user.isDeviceRegistered(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This device is already registered.'
+      });
+    }
+
+    const suspicion = analyzeFingerprintConsistency(req);
+    if (suspicion.action === 'block') {
+      return rejectSuspiciousDevice(req, res, 'request.created', user, deviceId, 'SUSPICIOUS_DEVICE');
+    }
+
+    // Only networks the user's device policy allows may ask for a device change
+    const policy = await DevicePolicy.resolveForUser(user._id);
+    const ipAccess = checkIpAccess(req.ip || req.connection.remoteAddress, policy);
+    if (!ipAccess.allowed) {
+      return rejectIpAddress(req, res, 'request.created', user, deviceId, ipAccess.rule);
+    }
+
+    // Check for pending requests
+    const existingRequest = await DeviceChangeRequest.findOne({
+      user: user._id,
+      newDeviceId: deviceId,
+      status: 'pending'
+    });
+
+    if (existingRequest) {
+      return res.status(400).json({
+        success: false,
+        message: 'Device change request already exists for this device.'
+      });
+    }
+
+    // Account-level quotas, independent of the IP the request comes from
+    try {
+      await DeviceChangeRequest.assertWithinQuota(user._id, policy);
+    } catch (error) {
+      if (!DeviceChangeRequest.QUOTA_ERROR_CODES.includes(error.code)) throw error;
+      return rejectDeviceChangeQuota(req, res, 'request.created', user, deviceId, error);
+    }
+
+    // Create device change request
+    const currentDeviceId = user.currentDeviceId || 'none';
+    
+    const deviceChangeRequest = new DeviceChangeRequest({
+      user: user._id,
+      username: user.username,
+      email: user.email,
+      currentDeviceId: currentDeviceId,
+      newDeviceId: deviceId,
+      // The location is resolved here, not taken from the client
+      newDeviceInfo: { ...newDeviceInfo, location: User.getDeviceInfo(req).location },
+      newDeviceFingerprint: user.getDeviceFingerprint(req).stableFingerprint,
+      suspicion: summarizeSuspicion(suspicion),
+      currentDeviceInfo: currentDeviceInfo || {},
+      twoFactorVerified: user.twoFactor.enabled,
+      reason: reason || 'Login attempt from new device'
+    });
+
+    await deviceChangeRequest.save();
+    await AuditEvent.record(req, {
+      action: 'request.created',
+      actor: user._id,
+      target: user._id,
+      request: deviceChangeRequest._id,
+      deviceId
+    });
+    await enqueueWebhookEvent('device_change.requested', deviceChangeRequest.toWebhookPayload());
+
+    res.status(201).json({
+      success: true,
+      message: 'Device change request created successfully.',
+      data: {
+        requestId: deviceChangeRequest._id,
+        status: deviceChangeRequest.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Unauthenticated device change request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create device change request.'
+    });
+  }
+});
+
+// Register new device (user choice)
+router.post('/register-device', verifyTokenFromNewDevice, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.secret').populate('roles');
+    const deviceId = user.generateDeviceId(req);
+
+    // Check if device is already registered
+    if (user.isDeviceRegistered(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This device is already registered.'
+      });
+    }
+
+    // The token isn't bound to this device, so a fresh code has to vouch for it
+    if (user.twoFactor.enabled) {
+      const twoFactorError = await checkTwoFactorCode(user, req.body.totpCode);
+      if (twoFactorError) {
+        return res.status(401).json({
+          success: false,
+          message: TWO_FACTOR_MESSAGES[twoFactorError],
+          code: twoFactorError,
+          data: { requiresTwoFactor: true }
+        });
+      }
+    }
+
+    // Without approval, new devices must go through a device change request
+    const policy = await DevicePolicy.resolveForUser(user._id);
+    if (policy.requireApproval) {
+      return res.status(403).json({
+        success: false,
+        message: 'New devices require approval. Please submit a device change request.',
+        code: 'DEVICE_APPROVAL_REQUIRED'
+      });
+    }
+
+    // Self-service registration is only for devices that look genuine
+    const suspicion = analyzeFingerprintConsistency(req);
+    if (suspicion.action !== 'allow') {
+      return rejectSuspiciousDevice(req, res, 'device.registered', user, deviceId,
+        suspicion.action === 'block' ? 'SUSPICIOUS_DEVICE' : 'DEVICE_REVIEW_REQUIRED');
+    }
+
+    // Register the new device within the policy limits
+    let removedDeviceIds;
+    try {
+      removedDeviceIds = user.addDeviceWithinPolicy({
+        deviceId,
+        deviceInfo: User.getDeviceInfo(req),
+        fingerprint: user.getDeviceFingerprint(req).stableFingerprint
+      }, policy);
+    } catch (error) {
+      if (error.code !== 'DEVICE_LIMIT_REACHED') throw error;
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    await user.save();
+
+    if (removedDeviceIds.length > 0) {
+      await Session.revokeForUser(user._id, {
+        reason: 'device-replaced',
+        revokedBy: user._id,
+        deviceId: removedDeviceIds
+      });
+    }
+    await AuditEvent.record(req, {
+      action: 'device.registered',
+      actor: user._id,
+      target: user._id,
+      deviceId,
+      reason: 'user-registered',
+      metadata: removedDeviceIds.length > 0 ? { removedDeviceIds } : undefined
+    });
+    const { token, refreshToken } = await generateToken(user._id, deviceId, req, {
+      twoFactorVerified: req.authSession.twoFactorVerified
+    });
+    setRefreshCookie(res, refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Device registered successfully.',
+      data: {
+        user: {
+          id: user._id,
+          username: user.username,
+          email: user.email,
+          role: user.isAdmin() ? 'admin' : 'user'
+        },
+        token,
+        refreshToken
       }
     });
 
@@ -507,7 +1854,7 @@ router.post('/register-device', verifyToken, async (req, res) => {
 });
 
 // Get user's device change requests
-router.get('/my-requests', verifyToken, async (req, res) => {
+router.get('/my-requests', verifyToken, validateDevice, async (req, res) => {
   try {
     const user = req.user;
     
@@ -0,0 +1,348 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const DevicePolicy = require('../models/DevicePolicy');
+const DeviceChallenge = require('../models/DeviceChallenge');
+const AccessSchedule = require('../models/AccessSchedule');
+const AuditEvent = require('../models/AuditEvent');
+const { generateToken, setRefreshCookie, verifyToken, validateDevice } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimiter');
+const {
+  buildRegistrationOptions,
+  buildAuthenticationOptions,
+  verifyRegistration,
+  verifyPasskeyAssertion
+} = require('../utils/webauthn');
+const { analyzeFingerprintConsistency } = require('../utils/fingerprintConsistency');
+const { lookupIp, checkImpossibleTravel, checkCountryAccess } = require('../utils/geoip');
+const { checkIpAccess } = require('../utils/ipAddress');
+const { assessLoginRisk, summarizeRisk } = require('../utils/loginRisk');
+const {
+  rejectThrottledLogin,
+  rejectSuspiciousDevice,
+  rejectIpAddress,
+  rejectCountry,
+  rejectOutsideAccessWindow,
+  rejectRiskyLogin
+} = require('../utils/loginRejections');
+
+// Start passkey registration for the current device
+router.post('/register/options', verifyToken, validateDevice, async (req, res) => {
+  try {
+    const user = req.user;
+    const challenge = await DeviceChallenge.issue({ purpose: 'webauthn-registration', user: user._id });
+
+    res.json({
+      success: true,
+      data: {
+        challengeId: challenge._id,
+        publicKey: buildRegistrationOptions(user, challenge.nonce)
+      }
+    });
+  } catch (error) {
+    console.error('WebAuthn registration options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start passkey registration.'
+    });
+  }
+});
+
+// Finish passkey registration, binding the credential to the current device
+router.post('/register/verify', verifyToken, validateDevice, async (req, res) => {
+  try {
+    const user = req.user;
+    const { challengeId, credential, name } = req.body;
+
+    const challenge = await DeviceChallenge.consume(challengeId, 'webauthn-registration');
+    if (!challenge || !challenge.user || !challenge.user.equals(user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired WebAuthn challenge.',
+        code: 'INVALID_WEBAUTHN_RESPONSE'
+      });
+    }
+
+    let verified;
+    try {
+      verified = verifyRegistration(credential, challenge.nonce);
+    } catch (error) {
+      if (error.code !== 'INVALID_WEBAUTHN_RESPONSE') throw error;
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    if (user.getWebAuthnCredential(verified.credentialId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This passkey is already registered.'
+      });
+    }
+
+    const deviceId = req.authSession.deviceId;
+    user.webauthnCredentials.push({
+      credentialId: verified.credentialId,
+      deviceId,
+      publicKey: verified.publicKey,
+      alg: verified.alg,
+      signCount: verified.signCount,
+      transports: verified.transports,
+      aaguid: verified.aaguid,
+      name: name || 'Passkey'
+    });
+    await user.save();
+
+    await AuditEvent.record(req, {
+      action: 'device.passkey-registered',
+      actor: user._id,
+      target: user._id,
+      deviceId,
+      metadata: { credentialId: verified.credentialId, aaguid: verified.aaguid }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Passkey registered for this device.',
+      data: {
+        credentialId: verified.credentialId,
+        deviceId
+      }
+    });
+  } catch (error) {
+    console.error('WebAuthn registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register passkey.'
+    });
+  }
+});
+
+// List the current user's passkeys
+router.get('/credentials', verifyToken, validateDevice, async (req, res) => {
+  try {
+    const credentials = req.user.webauthnCredentials.map(credential => ({
+      credentialId: credential.credentialId,
+      deviceId: credential.deviceId,
+      name: credential.name,
+      transports: credential.transports,
+      createdAt: credential.createdAt,
+      lastUsedAt: credential.lastUsedAt
+    }));
+
+    res.json({
+      success: true,
+      data: { credentials }
+    });
+  } catch (error) {
+    console.error('Get passkeys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get passkeys.'
+    });
+  }
+});
+
+// Remove a passkey
+router.delete('/credentials/:credentialId', verifyToken, validateDevice, async (req, res) => {
+  try {
+    const user = req.user;
+    const { credentialId } = req.params;
+
+    const credential = user.getWebAuthnCredential(credentialId);
+    if (!credential) {
+      return res.status(404).json({
+        success: false,
+        message: 'Passkey not found.'
+      });
+    }
+
+    user.webauthnCredentials.pull(credential._id);
+    await user.save();
+
+    await AuditEvent.record(req, {
+      action: 'device.passkey-removed',
+      actor: user._id,
+      target: user._id,
+      deviceId: credential.deviceId,
+      metadata: { credentialId }
+    });
+
+    res.json({
+      success: true,
+      message: 'Passkey removed.'
+    });
+  } catch (error) {
+    console.error('Remove passkey error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove passkey.'
+    });
+  }
+});
+
+// Start a passkey assertion, for /api/auth/login (with email) or passwordless login (without)
+router.post('/login/options', authLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // Unknown emails get the same response shape so accounts can't be probed
+    const user = email ? await User.findOne({ email: String(email).trim().toLowerCase() }) : null;
+    const challenge = await DeviceChallenge.issue({
+      purpose: 'webauthn-authentication',
+      user: user ? user._id : null
+    });
+
+    res.json({
+      success: true,
+      data: {
+        challengeId: challenge._id,
+        publicKey: buildAuthenticationOptions(challenge.nonce, user ? user.webauthnCredentials : [])
+      }
+    });
+  } catch (error) {
+    console.error('WebAuthn login options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start passkey login.'
+    });
+  }
+});
+
+// Passwordless login with a passkey bound to a registered device
+router.post('/login', authLimiter, async (req, res) => {
+  try {
+    if (!config.WEBAUTHN_ALLOW_PASSWORDLESS) {
+      return res.status(403).json({
+        success: false,
+        message: 'Passwordless login is disabled. Log in with your password and passkey.',
+        code: 'PASSWORDLESS_DISABLED'
+      });
+    }
+
+    const { challengeId, credential } = req.body;
+    const user = credential && credential.id
+      ? await User.findOne({ 'webauthnCredentials.credentialId': String(credential.id) }).populate('roles')
+      : null;
+
+    if (!user || !user.isActive) {
+      await AuditEvent.record(req, { action: 'auth.login', outcome: 'failure', reason: 'unknown-passkey' });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid passkey.',
+        code: 'INVALID_WEBAUTHN_RESPONSE'
+      });
+    }
+
+    // Locked and backing-off accounts can't sign in with a passkey either
+    const throttle = user.getLoginThrottle();
+    if (throttle) {
+      return rejectThrottledLogin(req, res, 'auth.login', user, throttle);
+    }
+
+    const suspicion = analyzeFingerprintConsistency(req);
+    if (suspicion.action === 'block') {
+      return rejectSuspiciousDevice(req, res, 'auth.login', user, null, 'SUSPICIOUS_DEVICE');
+    }
+
+    let storedCredential;
+    try {
+      // Without a password the authenticator must have verified the user (PIN or biometrics)
+      ({ storedCredential } = await verifyPasskeyAssertion(user, { challengeId, credential }, { requireUserVerification: true }));
+    } catch (error) {
+      if (error.code !== 'INVALID_WEBAUTHN_RESPONSE') throw error;
+      await User.recordLoginFailure(user._id);
+      await AuditEvent.record(req, { action: 'auth.login', outcome: 'failure', reason: 'invalid-passkey', target: user._id });
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    // A valid assertion ends the back-off, like a correct password
+    if (user.loginLockout.failedAttempts > 0) {
+      await User.resetLoginFailures(user._id);
+    }
+
+    // The passkey only vouches for the device it was registered on
+    if (!user.isDeviceRegistered(storedCredential.deviceId)) {
+      await user.save();
+      await AuditEvent.record(req, { action: 'auth.login', outcome: 'failure', reason: 'passkey-device-removed', target: user._id, deviceId: storedCredential.deviceId });
+      return res.status(403).json({
+        success: false,
+        message: 'The device this passkey belongs to is no longer registered.',
+        code: 'DEVICE_NOT_AUTHORIZED'
+      });
+    }
+
+    // IP range and country lists apply to passwordless sign-ins too
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const accessPolicy = await DevicePolicy.resolveForUser(user._id);
+    const ipAccess = checkIpAccess(ipAddress, accessPolicy);
+    if (!ipAccess.allowed) {
+      return rejectIpAddress(req, res, 'auth.login', user, storedCredential.deviceId, ipAccess.rule);
+    }
+    const countryAccess = checkCountryAccess(ipAddress, accessPolicy);
+    if (!countryAccess.allowed) {
+      return rejectCountry(req, res, 'auth.login', user, storedCredential.deviceId, countryAccess.country);
+    }
+
+    const access = await AccessSchedule.checkAccess(user);
+    if (!access.allowed) {
+      return rejectOutsideAccessWindow(req, res, user, storedCredential.deviceId, access.schedules);
+    }
+
+    const travel = checkImpossibleTravel(await Session.findLastLogin(user._id), lookupIp(ipAddress));
+    if (travel && travel.impossible) {
+      await AuditEvent.record(req, { action: 'auth.impossible-travel', target: user._id, deviceId: storedCredential.deviceId, metadata: travel });
+    }
+
+    // Scored like /api/auth/login; the user-verified passkey already is the step-up
+    const risk = assessLoginRisk(req, user, {
+      deviceId: storedCredential.deviceId,
+      suspicion,
+      travel,
+      recentFailures: user.loginLockout.failedAttempts
+    });
+    req.loginRisk = summarizeRisk(risk);
+    if (risk.action === 'deny') {
+      return rejectRiskyLogin(req, res, user, storedCredential.deviceId, 'LOGIN_RISK_DENIED');
+    }
+
+    user.currentDeviceId = storedCredential.deviceId;
+    await user.updateDeviceLastUsed(storedCredential.deviceId);
+    await AuditEvent.record(req, { action: 'auth.login', actor: user._id, target: user._id, deviceId: storedCredential.deviceId, reason: 'passkey-passwordless' });
+
+    // A user-verified passkey is already a second factor
+    const { token, refreshToken } = await generateToken(user._id, storedCredential.deviceId, req, { twoFactorVerified: true });
+    setRefreshCookie(res, refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Login successful.',
+      data: {
+        user: {
+          id: user._id,
+          username: user.username,
+          email: user.email,
+          role: user.isAdmin() ? 'admin' : 'user'
+        },
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Passkey login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Passkey login failed.'
+    });
+  }
+});
+
+module.exports = router;
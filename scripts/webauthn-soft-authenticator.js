@@ -0,0 +1,151 @@
+// Software WebAuthn authenticator for testing passkeys without a browser.
+// Usage: node scripts/webauthn-soft-authenticator.js [baseUrl]
+// Registers a throwaway user, adds a passkey for its device, then logs in with
+// password + passkey and passwordless. The server must allow the origin below in WEBAUTHN_ORIGINS.
+const crypto = require('crypto');
+const cbor = require('../utils/cbor');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+// Behaves like a platform authenticator with "none" attestation and ES256 keys
+class SoftAuthenticator {
+  constructor({ origin = 'http://localhost:3001', userVerified = true } = {}) {
+    this.origin = origin;
+    this.userVerified = userVerified;
+    this.aaguid = Buffer.alloc(16);
+    this.credentials = new Map();
+  }
+
+  clientData(type, challenge) {
+    return Buffer.from(JSON.stringify({ type, challenge, origin: this.origin, crossOrigin: false }));
+  }
+
+  authenticatorData(rpId, signCount, attestedCredentialData) {
+    let flags = 0x01;
+    if (this.userVerified) flags |= 0x04;
+    if (attestedCredentialData) flags |= 0x40;
+
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(signCount);
+
+    return Buffer.concat([sha256(rpId), Buffer.from([flags]), counter, attestedCredentialData || Buffer.alloc(0)]);
+  }
+
+  // navigator.credentials.create() for the JSON options returned by /webauthn/register/options
+  createCredential(options) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const jwk = publicKey.export({ format: 'jwk' });
+    const credentialId = crypto.randomBytes(32);
+
+    const coseKey = new Map([
+      [1, 2],
+      [3, -7],
+      [-1, 1],
+      [-2, Buffer.from(jwk.x, 'base64url')],
+      [-3, Buffer.from(jwk.y, 'base64url')]
+    ]);
+    const idLength = Buffer.alloc(2);
+    idLength.writeUInt16BE(credentialId.length);
+    const attestedCredentialData = Buffer.concat([this.aaguid, idLength, credentialId, cbor.encode(coseKey)]);
+
+    const id = credentialId.toString('base64url');
+    this.credentials.set(id, { privateKey, rpId: options.rp.id, userHandle: options.user.id, signCount: 0 });
+
+    const attestationObject = cbor.encode(new Map([
+      ['fmt', 'none'],
+      ['attStmt', new Map()],
+      ['authData', this.authenticatorData(options.rp.id, 0, attestedCredentialData)]
+    ]));
+
+    return {
+      id,
+      rawId: id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: this.clientData('webauthn.create', options.challenge).toString('base64url'),
+        attestationObject: attestationObject.toString('base64url'),
+        transports: ['internal']
+      }
+    };
+  }
+
+  // navigator.credentials.get() for the JSON options returned by /webauthn/login/options
+  getAssertion(options) {
+    const allowed = (options.allowCredentials || []).map(credential => credential.id);
+    const id = [...this.credentials.keys()].find(key => !allowed.length || allowed.includes(key));
+    if (!id) {
+      throw new Error('No matching credential on this authenticator');
+    }
+
+    const credential = this.credentials.get(id);
+    credential.signCount += 1;
+
+    const authenticatorData = this.authenticatorData(options.rpId, credential.signCount);
+    const clientDataJSON = this.clientData('webauthn.get', options.challenge);
+    const signature = crypto.sign('sha256', Buffer.concat([authenticatorData, sha256(clientDataJSON)]), credential.privateKey);
+
+    return {
+      id,
+      rawId: id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientDataJSON.toString('base64url'),
+        authenticatorData: authenticatorData.toString('base64url'),
+        signature: signature.toString('base64url'),
+        userHandle: credential.userHandle
+      }
+    };
+  }
+}
+
+async function runDemo(baseUrl) {
+  const authenticator = new SoftAuthenticator();
+  const suffix = crypto.randomBytes(4).toString('hex');
+  const email = `passkey-${suffix}@example.com`;
+  const password = 'passkey-demo';
+
+  const call = async (path, body, token, userAgent = 'PasskeyDemo/1.0') => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': userAgent,
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify(body || {})
+    });
+    const data = await response.json();
+    console.log(`${path} -> ${response.status} ${data.message || ''}`);
+    if (!data.success) {
+      throw new Error(data.code || data.message);
+    }
+    return data.data;
+  };
+
+  const { token } = await call('/api/auth/register', { username: `passkey${suffix}`, email, password });
+
+  const registration = await call('/api/auth/webauthn/register/options', {}, token);
+  const credential = authenticator.createCredential(registration.publicKey);
+  await call('/api/auth/webauthn/register/verify', { challengeId: registration.challengeId, credential, name: 'Soft authenticator' }, token);
+
+  // A different User-Agent: the fingerprint no longer matches, the passkey still proves the device
+  const assertionOptions = await call('/api/auth/webauthn/login/options', { email });
+  const passkey = { challengeId: assertionOptions.challengeId, credential: authenticator.getAssertion(assertionOptions.publicKey) };
+  await call('/api/auth/login', { email, password, passkey }, null, 'PasskeyDemo/2.0 (updated)');
+
+  const passwordlessOptions = await call('/api/auth/webauthn/login/options', {});
+  const login = await call('/api/auth/webauthn/login', {
+    challengeId: passwordlessOptions.challengeId,
+    credential: authenticator.getAssertion(passwordlessOptions.publicKey)
+  });
+  console.log(`✅ Passwordless login as ${login.user.email}`);
+}
+
+if (require.main === module) {
+  runDemo(process.argv[2] || 'http://localhost:3001').catch(error => {
+    console.error('Passkey demo failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { SoftAuthenticator };
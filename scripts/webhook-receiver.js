@@ -0,0 +1,32 @@
+// Minimal local receiver for testing webhook subscriptions.
+// Usage: WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js [port]
+// Then subscribe http://localhost:<port>/ through POST /api/admin/webhooks.
+const http = require('http');
+const { verifySignature } = require('../utils/webhooks');
+
+const port = Number(process.argv[2]) || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+
+if (!secret) {
+  console.error('Set WEBHOOK_SECRET to the secret returned when the subscription was created.');
+  process.exit(1);
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const valid = verifySignature(secret, req.headers, body);
+
+    console.log(`[${new Date().toISOString()}] ${req.headers['x-webhook-event']} (${req.headers['x-webhook-id']})`);
+    console.log(`  Signature: ${valid ? 'valid' : 'INVALID'}`);
+    console.log(`  Body: ${body}`);
+
+    res.statusCode = valid ? 204 : 401;
+    res.end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`📬 Webhook receiver listening on http://localhost:${port}/`);
+});
@@ -4,15 +4,19 @@ const cors = require('cors');
 const path = require('path');
 const config = require('./config');
 const { generalLimiter } = require('./middleware/rateLimiter');
+const { startWebhookWorker, stopWebhookWorker } = require('./utils/webhooks');
+const { loadGeoIpDatabase } = require('./utils/geoip');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const adminRoutes = require('./routes/admin');
+const webauthnRoutes = require('./routes/webauthn');
 
 const app = express();
 
-// Trust proxy for rate limiting and IP detection
-app.set('trust proxy', 1);
+// Trust proxy for rate limiting and IP detection. req.ip is the rightmost
+// X-Forwarded-For entry not added by a trusted proxy; code never reads the header itself.
+app.set('trust proxy', config.TRUST_PROXY);
 
 // Security headers
 app.use((req, res, next) => {
@@ -104,6 +108,7 @@ app.get('/api/test', (req, res) => {
 });
 
 // Routes
+app.use('/api/auth/webauthn', webauthnRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
 
@@ -139,6 +144,24 @@ app.use((error, req, res, next) => {
   });
 });
 
+// Convert users created before roles were stored in the database
+const migrateLegacyRoles = async (adminRole, userRole) => {
+  const users = mongoose.connection.collection('users');
+
+  const { modifiedCount: admins } = await users.updateMany(
+    { role: 'admin' },
+    { $addToSet: { roles: adminRole._id }, $unset: { role: '' } }
+  );
+  const { modifiedCount: regular } = await users.updateMany(
+    { role: { $exists: true } },
+    { $addToSet: { roles: userRole._id }, $unset: { role: '' } }
+  );
+
+  if (admins + regular > 0) {
+    console.log(`✅ Migrated ${admins + regular} users to database roles`);
+  }
+};
+
 // Connect to MongoDB and start server
 const startServer = async () => {
   try {
@@ -149,6 +172,13 @@ const startServer = async () => {
     
     console.log('✅ Connected to MongoDB');
     
+    // Create built-in roles and move users off the legacy role field
+    const Role = require('./models/Role');
+    await Role.ensureDefaults();
+    const adminRole = await Role.findOne({ name: Role.ADMIN_ROLE });
+    const userRole = await Role.findOne({ name: Role.DEFAULT_USER_ROLE });
+    await migrateLegacyRoles(adminRole, userRole);
+    
     // Create default admin user if it doesn't exist
     const User = require('./models/User');
     const adminEmail = process.env.ADMIN_EMAIL || 'admin@example.com';
@@ -159,24 +189,25 @@ const startServer = async () => {
         username: process.env.ADMIN_USERNAME || 'admin',
         email: adminEmail,
         password: process.env.ADMIN_PASSWORD || 'admin123',
-        role: 'admin'
+        roles: [adminRole._id]
       });
       
       await adminUser.save();
       console.log(`⚠️  Default admin user created: ${adminUser.email} / ${process.env.ADMIN_PASSWORD || 'admin123'}`);
       console.log('⚠️  IMPORTANT: Change admin password in production!');
-      console.log(`📧 Admin identified by email: ${adminEmail}`);
     } else {
-      // Ensure existing admin user has correct role
-      if (adminExists.role !== 'admin') {
-        adminExists.role = 'admin';
+      // Ensure existing admin user has the admin role
+      if (!adminExists.roles.some(id => id.equals(adminRole._id))) {
+        adminExists.roles.push(adminRole._id);
         await adminExists.save();
-        console.log('✅ Updated existing admin user role');
+        console.log('✅ Granted admin role to existing admin user');
       }
       console.log('✅ Admin user already exists');
-      console.log(`📧 Admin identified by email: ${adminEmail}`);
     }
     
+    // Geolocation data is loaded once, before requests need it
+    await loadGeoIpDatabase();
+
     const server = app.listen(config.PORT, () => {
       console.log('🚀 Server started successfully!');
       console.log(`📡 Port: ${config.PORT}`);
@@ -185,10 +216,14 @@ const startServer = async () => {
       console.log(`🔐 Admin panel: http://localhost:${config.PORT}/admin.html`);
       console.log(`👤 User panel: http://localhost:${config.PORT}/index.html`);
     });
+
+    // Deliver queued webhook events
+    startWebhookWorker();
     
     // Graceful shutdown
     process.on('SIGTERM', () => {
       console.log('🛑 SIGTERM received, shutting down gracefully...');
+      stopWebhookWorker();
       server.close(() => {
         console.log('✅ Server closed');
         mongoose.connection.close(false, () => {
@@ -200,6 +235,7 @@ const startServer = async () => {
     
     process.on('SIGINT', () => {
       console.log('🛑 SIGINT received, shutting down gracefully...');
+      stopWebhookWorker();
       server.close(() => {
         console.log('✅ Server closed');
         mongoose.connection.close(false, () => {
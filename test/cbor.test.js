@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const cbor = require('../utils/cbor');
+
+const hex = (value) => Buffer.from(value, 'hex');
+
+describe('CBOR decoder', () => {
+  it('decodes integers in every length form', () => {
+    assert.equal(cbor.decode(hex('17')), 23);
+    assert.equal(cbor.decode(hex('1818')), 24);
+    assert.equal(cbor.decode(hex('190100')), 256);
+    assert.equal(cbor.decode(hex('1a00010000')), 65536);
+    assert.equal(cbor.decode(hex('1b0000000100000000')), 2 ** 32);
+    assert.equal(cbor.decode(hex('3b0000000100000000')), -1 - 2 ** 32);
+  });
+
+  it('decodes 8-byte lengths', () => {
+    assert.deepEqual(cbor.decode(hex('5b0000000000000003010203')), hex('010203'));
+    assert.equal(cbor.decode(hex('7b0000000000000002' + '6869')), 'hi');
+    assert.deepEqual(cbor.decode(hex('9b00000000000000020102')), [1, 2]);
+  });
+
+  it('refuses 8-byte values beyond the safe integer range', () => {
+    assert.throws(() => cbor.decode(hex('1b0020000000000000')), RangeError);
+  });
+
+  it('decodes a COSE key map with integer keys', () => {
+    const key = cbor.decode(hex('a401020326200121' + '5820' + '11'.repeat(32)));
+    assert.equal(key.get(1), 2);
+    assert.equal(key.get(3), -7);
+    assert.equal(key.get(-1), 1);
+    assert.deepEqual(key.get(-2), Buffer.alloc(32, 0x11));
+  });
+
+  it('decodes simple values and floats', () => {
+    assert.equal(cbor.decode(hex('f4')), false);
+    assert.equal(cbor.decode(hex('f5')), true);
+    assert.equal(cbor.decode(hex('f6')), null);
+    assert.equal(cbor.decode(hex('f93c00')), 1);
+    assert.equal(cbor.decode(hex('fb3ff8000000000000')), 1.5);
+  });
+
+  it('rejects truncated input', () => {
+    assert.throws(() => cbor.decode(hex('')), /Unexpected end of CBOR data/);
+    assert.throws(() => cbor.decode(hex('1a0001')), /Unexpected end of CBOR data/);
+    assert.throws(() => cbor.decode(hex('45616263')), /Unexpected end of CBOR data/);
+    assert.throws(() => cbor.decode(hex('7b0000000000000005' + '6869')), /Unexpected end of CBOR data/);
+    assert.throws(() => cbor.decode(hex('a20102')), /Unexpected end of CBOR data/);
+  });
+
+  it('rejects indefinite-length input', () => {
+    assert.throws(() => cbor.decode(hex('5f42010243030405ff')), /Indefinite-length/);
+    assert.throws(() => cbor.decode(hex('7f657374726561646d696e67ff')), /Indefinite-length/);
+    assert.throws(() => cbor.decode(hex('9f0102ff')), /Indefinite-length/);
+    assert.throws(() => cbor.decode(hex('bf0102ff')), /Indefinite-length/);
+  });
+
+  it('rejects trailing bytes', () => {
+    assert.throws(() => cbor.decode(hex('0102')), /Trailing bytes/);
+    assert.deepEqual(cbor.decodeFirst(hex('0102')), { value: 1, length: 1 });
+  });
+});
+
+describe('CBOR encoder', () => {
+  it('uses the 8-byte form from 2^32 on', () => {
+    assert.deepEqual(cbor.encode(2 ** 32 - 1), hex('1affffffff'));
+    assert.deepEqual(cbor.encode(2 ** 32), hex('1b0000000100000000'));
+  });
+
+  it('refuses integers beyond the safe range', () => {
+    assert.throws(() => cbor.encode(2 ** 53), RangeError);
+  });
+
+  it('round-trips through the decoder', () => {
+    const value = new Map([[1, 2], [-3, hex('abcd')], ['list', [true, null, 'x']]]);
+    assert.deepEqual(cbor.decode(cbor.encode(value)), value);
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const config = require('../config');
+const cbor = require('../utils/cbor');
+const { COSE_ALGORITHMS, coseToJwk, verifyAuthentication } = require('../utils/webauthn');
+
+// Fixed P-256 key standing in for an authenticator's credential key
+const PRIVATE_JWK = {
+  kty: 'EC',
+  crv: 'P-256',
+  x: '0vJ1cU0dw2ul2OeKZaH2jzRrcLgfhClxTbsYcFXyfE0',
+  y: 'xq9Gx0ub5TBmetkZbs4Pvklzke54ck4kGDAWfbPyY7Y',
+  d: 'eFgdIepVJ-jqyj3k4P43K0zu29skUtyM6Bs5T-hVH1c'
+};
+const privateKey = crypto.createPrivateKey({ key: PRIVATE_JWK, format: 'jwk' });
+
+// The credential public key as an authenticator reports it
+const COSE_KEY = cbor.encode(new Map([
+  [1, 2],
+  [3, COSE_ALGORITHMS.ES256],
+  [-1, 1],
+  [-2, Buffer.from(PRIVATE_JWK.x, 'base64url')],
+  [-3, Buffer.from(PRIVATE_JWK.y, 'base64url')]
+]));
+
+const CHALLENGE = 'test-challenge';
+const FLAGS_UP_UV = 0x05;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+const storedCredential = (signCount = 0) => {
+  const { jwk, alg } = coseToJwk(cbor.decode(COSE_KEY));
+  return { publicKey: jwk, alg, signCount };
+};
+
+// Build and sign an assertion like an authenticator would
+const createAssertion = ({ flags = FLAGS_UP_UV, signCount = 1, challenge = CHALLENGE, origin = config.WEBAUTHN_ORIGINS[0] } = {}) => {
+  const authenticatorData = Buffer.alloc(37);
+  sha256(config.WEBAUTHN_RP_ID).copy(authenticatorData, 0);
+  authenticatorData[32] = flags;
+  authenticatorData.writeUInt32BE(signCount, 33);
+
+  const clientDataJSON = Buffer.from(JSON.stringify({ type: 'webauthn.get', challenge, origin }));
+  const signature = crypto.sign('sha256', Buffer.concat([authenticatorData, sha256(clientDataJSON)]), privateKey);
+
+  return {
+    id: 'credential-1',
+    response: {
+      clientDataJSON: clientDataJSON.toString('base64url'),
+      authenticatorData: authenticatorData.toString('base64url'),
+      signature: signature.toString('base64url')
+    }
+  };
+};
+
+describe('coseToJwk', () => {
+  it('converts an ES256 COSE key to the matching JWK', () => {
+    const { jwk, alg } = coseToJwk(cbor.decode(COSE_KEY));
+    assert.equal(alg, COSE_ALGORITHMS.ES256);
+    assert.deepEqual(jwk, { kty: 'EC', crv: 'P-256', x: PRIVATE_JWK.x, y: PRIVATE_JWK.y });
+  });
+});
+
+describe('verifyAuthentication', () => {
+  it('accepts an assertion signed by the stored key', () => {
+    const result = verifyAuthentication(createAssertion({ signCount: 5 }), CHALLENGE, storedCredential(4), {
+      requireUserVerification: true
+    });
+    assert.deepEqual(result, { signCount: 5, userVerified: true });
+  });
+
+  it('rejects a tampered signature', () => {
+    const assertion = createAssertion();
+    const signature = Buffer.from(assertion.response.signature, 'base64url');
+    signature[signature.length - 1] ^= 0x01;
+    assertion.response.signature = signature.toString('base64url');
+
+    assert.throws(() => verifyAuthentication(assertion, CHALLENGE, storedCredential()), {
+      code: 'INVALID_WEBAUTHN_RESPONSE',
+      message: 'Invalid assertion signature'
+    });
+  });
+
+  it('rejects an assertion signed by another key', () => {
+    const otherKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).publicKey.export({ format: 'jwk' });
+    assert.throws(
+      () => verifyAuthentication(createAssertion(), CHALLENGE, { publicKey: otherKey, alg: COSE_ALGORITHMS.ES256, signCount: 0 }),
+      { message: 'Invalid assertion signature' }
+    );
+  });
+
+  it('rejects another challenge or origin', () => {
+    assert.throws(() => verifyAuthentication(createAssertion({ challenge: 'other' }), CHALLENGE, storedCredential()), {
+      message: 'Challenge mismatch'
+    });
+    assert.throws(() => verifyAuthentication(createAssertion({ origin: 'https://evil.example' }), CHALLENGE, storedCredential()), {
+      message: 'Origin https://evil.example is not allowed'
+    });
+  });
+
+  it('requires user verification when asked to', () => {
+    assert.throws(
+      () => verifyAuthentication(createAssertion({ flags: 0x01 }), CHALLENGE, storedCredential(), { requireUserVerification: true }),
+      { message: 'User verification is required' }
+    );
+  });
+
+  it('rejects a signature counter that did not increase', () => {
+    assert.throws(() => verifyAuthentication(createAssertion({ signCount: 3 }), CHALLENGE, storedCredential(3)), {
+      message: 'Signature counter did not increase; the authenticator may be cloned'
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const config = require('../config');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { signPayload, verifySignature, getRetryDelay, attemptDelivery } = require('../utils/webhooks');
+
+const SECRET = 'test-secret';
+
+// Subscription lookups resolve to this instead of hitting MongoDB
+const stubSubscription = (url, isActive = true) => {
+  mock.method(WebhookSubscription, 'findById', () => ({
+    select: async () => ({ url, isActive, secret: SECRET })
+  }));
+};
+
+// Delivery document that is saved in memory only
+const createDelivery = (attempts = 0) => {
+  const delivery = new WebhookDelivery({
+    subscription: new WebhookSubscription()._id,
+    event: 'user.activated',
+    payload: { event: 'user.activated', data: { userId: 'u1' } },
+    status: 'delivering',
+    attempts
+  });
+  delivery.save = async () => delivery;
+  return delivery;
+};
+
+describe('webhook signing', () => {
+  it('signs the timestamp and body with HMAC-SHA256', () => {
+    assert.equal(
+      signPayload(SECRET, 1700000000, '{"a":1}'),
+      'sha256=' + crypto.createHmac('sha256', SECRET).update('1700000000.{"a":1}').digest('hex')
+    );
+  });
+
+  it('accepts a fresh, correctly signed body', () => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'x-webhook-timestamp': String(timestamp),
+      'x-webhook-signature': signPayload(SECRET, timestamp, '{}')
+    };
+    assert.equal(verifySignature(SECRET, headers, '{}'), true);
+  });
+
+  it('rejects a tampered body, a wrong secret and a stale timestamp', () => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'x-webhook-timestamp': String(timestamp),
+      'x-webhook-signature': signPayload(SECRET, timestamp, '{}')
+    };
+    assert.equal(verifySignature(SECRET, headers, '{"a":1}'), false);
+    assert.equal(verifySignature('other-secret', headers, '{}'), false);
+
+    const stale = timestamp - 301;
+    assert.equal(verifySignature(SECRET, {
+      'x-webhook-timestamp': String(stale),
+      'x-webhook-signature': signPayload(SECRET, stale, '{}')
+    }, '{}'), false);
+  });
+
+  it('rejects a missing signature', () => {
+    assert.equal(verifySignature(SECRET, { 'x-webhook-timestamp': String(Math.floor(Date.now() / 1000)) }, '{}'), false);
+  });
+});
+
+describe('webhook retry back-off', () => {
+  it('doubles from 30 seconds', () => {
+    assert.deepEqual([1, 2, 3, 4, 5].map(getRetryDelay), [30000, 60000, 120000, 240000, 480000]);
+  });
+
+  it('is capped at 6 hours', () => {
+    assert.equal(getRetryDelay(10), 30000 * 2 ** 9);
+    assert.equal(getRetryDelay(11), 6 * 60 * 60 * 1000);
+    assert.equal(getRetryDelay(30), 6 * 60 * 60 * 1000);
+  });
+});
+
+describe('webhook delivery', () => {
+  let server;
+  let url;
+  let received;
+  let responseStatus;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received = { headers: req.headers, body };
+        res.statusCode = responseStatus;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  after(() => {
+    mock.restoreAll();
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  it('sends a body the receiver can verify and marks it delivered', async () => {
+    responseStatus = 204;
+    stubSubscription(url);
+    const delivery = createDelivery();
+
+    await attemptDelivery(delivery);
+
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(verifySignature(SECRET, received.headers, received.body), true);
+    assert.equal(received.headers['x-webhook-id'], delivery._id.toString());
+  });
+
+  it('schedules a retry after a failed attempt', async () => {
+    responseStatus = 500;
+    stubSubscription(url);
+    const delivery = createDelivery(1);
+
+    const before = Date.now();
+    await attemptDelivery(delivery);
+
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.attempts, 2);
+    assert.equal(delivery.attemptLog[0].error, 'Receiver responded with 500');
+    assert.ok(delivery.nextAttemptAt.getTime() >= before + getRetryDelay(2));
+    assert.equal(delivery.lockedUntil, null);
+  });
+
+  it('dead-letters the delivery once the last attempt fails', async () => {
+    responseStatus = 503;
+    stubSubscription(url);
+    const delivery = createDelivery(config.WEBHOOK_MAX_ATTEMPTS - 1);
+
+    await attemptDelivery(delivery);
+
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, config.WEBHOOK_MAX_ATTEMPTS);
+  });
+
+  it('dead-letters the delivery when the subscription is disabled', async () => {
+    stubSubscription(url, false);
+    const delivery = createDelivery();
+
+    await attemptDelivery(delivery);
+
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, 0);
+    assert.equal(delivery.attemptLog[0].error, 'Subscription removed or disabled');
+  });
+});
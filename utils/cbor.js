@@ -0,0 +1,181 @@
+// Minimal CBOR (RFC 8949) codec, enough for WebAuthn attestation objects and COSE keys
+
+/**
+ * Decode the first CBOR item of a buffer
+ * @param {Buffer} buffer - CBOR data
+ * @returns {Object} { value, length } where length is the number of bytes consumed.
+ * Maps decode to Map so integer keys (COSE) are preserved.
+ */
+function decodeFirst(buffer) {
+  let offset = 0;
+
+  // Advance past the next count bytes, returning where they start
+  const take = (count) => {
+    if (offset + count > buffer.length) {
+      throw new Error('Unexpected end of CBOR data');
+    }
+    offset += count;
+    return offset - count;
+  };
+
+  const readLength = (additional) => {
+    if (additional < 24) return additional;
+    if (additional === 24) return buffer.readUInt8(take(1));
+    if (additional === 25) return buffer.readUInt16BE(take(2));
+    if (additional === 26) return buffer.readUInt32BE(take(4));
+    if (additional === 27) {
+      const length = buffer.readBigUInt64BE(take(8));
+      if (length > BigInt(Number.MAX_SAFE_INTEGER)) {
+        throw new RangeError(`CBOR integer out of range: ${length}`);
+      }
+      return Number(length);
+    }
+    if (additional === 31) {
+      throw new Error('Indefinite-length CBOR items are not supported');
+    }
+    throw new Error('Unsupported CBOR length encoding');
+  };
+
+  const readItem = () => {
+    const initial = buffer.readUInt8(take(1));
+    const majorType = initial >> 5;
+    const additional = initial & 0x1f;
+
+    switch (majorType) {
+      case 0:
+        return readLength(additional);
+      case 1:
+        return -1 - readLength(additional);
+      case 2: {
+        const length = readLength(additional);
+        const start = take(length);
+        return Buffer.from(buffer.subarray(start, start + length));
+      }
+      case 3: {
+        const length = readLength(additional);
+        const start = take(length);
+        return buffer.toString('utf8', start, start + length);
+      }
+      case 4: {
+        const length = readLength(additional);
+        const items = [];
+        for (let i = 0; i < length; i++) {
+          items.push(readItem());
+        }
+        return items;
+      }
+      case 5: {
+        const length = readLength(additional);
+        const map = new Map();
+        for (let i = 0; i < length; i++) {
+          const key = readItem();
+          map.set(key, readItem());
+        }
+        return map;
+      }
+      case 6:
+        // Tags carry no meaning for WebAuthn data; return the tagged item
+        readLength(additional);
+        return readItem();
+      case 7:
+        if (additional === 20) return false;
+        if (additional === 21) return true;
+        if (additional === 22) return null;
+        if (additional === 23) return undefined;
+        if (additional === 25) return decodeHalfFloat(buffer.readUInt16BE(take(2)));
+        if (additional === 26) return buffer.readFloatBE(take(4));
+        if (additional === 27) return buffer.readDoubleBE(take(8));
+        throw new Error('Unsupported CBOR simple value');
+      default:
+        throw new Error('Unsupported CBOR major type');
+    }
+  };
+
+  const value = readItem();
+  return { value, length: offset };
+}
+
+function decodeHalfFloat(half) {
+  const exponent = (half >> 10) & 0x1f;
+  const fraction = half & 0x3ff;
+  const sign = half & 0x8000 ? -1 : 1;
+
+  if (exponent === 0) return sign * 2 ** -14 * (fraction / 1024);
+  if (exponent === 31) return fraction ? NaN : sign * Infinity;
+  return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+}
+
+/**
+ * Decode a buffer holding exactly one CBOR item
+ * @param {Buffer} buffer - CBOR data
+ * @returns {*} Decoded value
+ */
+function decode(buffer) {
+  const { value, length } = decodeFirst(buffer);
+  if (length !== buffer.length) {
+    throw new Error('Trailing bytes after CBOR item');
+  }
+  return value;
+}
+
+/**
+ * Encode a value as CBOR (integers, strings, buffers, arrays, Maps, plain objects,
+ * booleans and null)
+ * @param {*} value - Value to encode
+ * @returns {Buffer} CBOR data
+ */
+function encode(value) {
+  const head = (majorType, length) => {
+    if (length < 24) return Buffer.from([(majorType << 5) | length]);
+    if (length < 0x100) return Buffer.from([(majorType << 5) | 24, length]);
+    if (length < 0x10000) {
+      const buffer = Buffer.alloc(3);
+      buffer[0] = (majorType << 5) | 25;
+      buffer.writeUInt16BE(length, 1);
+      return buffer;
+    }
+    if (length < 0x100000000) {
+      const buffer = Buffer.alloc(5);
+      buffer[0] = (majorType << 5) | 26;
+      buffer.writeUInt32BE(length, 1);
+      return buffer;
+    }
+    const buffer = Buffer.alloc(9);
+    buffer[0] = (majorType << 5) | 27;
+    buffer.writeBigUInt64BE(BigInt(length), 1);
+    return buffer;
+  };
+
+  if (value === false) return Buffer.from([0xf4]);
+  if (value === true) return Buffer.from([0xf5]);
+  if (value === null) return Buffer.from([0xf6]);
+  if (Number.isInteger(value)) {
+    // Larger integers lose precision as numbers, and decode couldn't return them exactly either
+    if (!Number.isSafeInteger(value)) {
+      throw new RangeError(`CBOR integer out of range: ${value}`);
+    }
+    return value >= 0 ? head(0, value) : head(1, -1 - value);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([head(3, bytes.length), bytes]);
+  }
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return Buffer.concat([head(2, value.length), Buffer.from(value)]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([head(4, value.length), ...value.map(encode)]);
+  }
+
+  const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+  return Buffer.concat([
+    head(5, entries.length),
+    ...entries.map(([key, item]) => Buffer.concat([encode(key), encode(item)]))
+  ]);
+}
+
+module.exports = {
+  decode,
+  decodeFirst,
+  encode
+};
@@ -1,5 +1,122 @@
 // Advanced device fingerprinting utilities
 const crypto = require('crypto');
+const config = require('../config');
+
+// Bump when the stable fingerprint layout changes; stored fingerprints without
+// a version are v1 (raw User-Agent string)
+const FINGERPRINT_VERSION = 2;
+
+// Traits that change on their own (browser auto-updates). A registered device
+// whose other traits are unchanged is re-keyed to its new id without approval.
+const VOLATILE_TRAITS = ['browserMajor'];
+
+// How much each stable trait counts when matching fingerprints.
+// Hardware and display traits rarely change on a device and are hard to share by
+// accident; language settings are easy to change and common to many devices.
+const DEFAULT_TRAIT_WEIGHTS = {
+  hardwareConcurrency: 3,
+  screenRes: 3,
+  platform: 3,
+  colorDepth: 2,
+  pixelRatio: 2,
+  maxTouchPoints: 2,
+  timezone: 2,
+  browser: 2,
+  os: 2,
+  browserMajor: 1,
+  language: 1,
+  languages: 1
+};
+
+/**
+ * Trait weights in effect (defaults merged with FINGERPRINT_TRAIT_WEIGHTS)
+ * @returns {Object} Weight per trait
+ */
+function getTraitWeights() {
+  return { ...DEFAULT_TRAIT_WEIGHTS, ...config.FINGERPRINT_TRAIT_WEIGHTS };
+}
+
+/**
+ * Reduce a User-Agent string to browser family, major version and OS
+ * @param {String} userAgent - Raw User-Agent header
+ * @returns {Object} { browser, browserMajor, os }
+ */
+function parseUserAgent(userAgent = '') {
+  const browsers = [
+    ['Edge', /Edg(?:e|A|iOS)?\/(\d+)/],
+    ['Opera', /(?:OPR|Opera)\/(\d+)/],
+    ['Samsung Internet', /SamsungBrowser\/(\d+)/],
+    ['Firefox', /(?:Firefox|FxiOS)\/(\d+)/],
+    ['Chrome', /(?:Chrome|CriOS)\/(\d+)/],
+    ['Safari', /Version\/(\d+).*Safari/]
+  ];
+  const systems = [
+    ['Windows', /Windows/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Android', /Android/],
+    ['ChromeOS', /CrOS/],
+    ['Linux', /Linux/]
+  ];
+
+  const browserMatch = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const osMatch = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  return {
+    browser: browserMatch ? browserMatch[0] : 'Other',
+    browserMajor: browserMatch ? userAgent.match(browserMatch[1])[1] : '',
+    os: osMatch ? osMatch[0] : 'Other'
+  };
+}
+
+/**
+ * Normalized browser and OS of a request, preferring User-Agent Client Hints
+ * @param {Object} req - Express request object
+ * @returns {Object} { browser, browserMajor, os }
+ */
+function normalizeUserAgent(req) {
+  const parsed = parseUserAgent(req.get('User-Agent') || '');
+  const brands = req.get('sec-ch-ua');
+  const platform = req.get('sec-ch-ua-platform');
+
+  if (brands) {
+    // e.g. "Chromium";v="120", "Google Chrome";v="120", "Not?A_Brand";v="99"
+    const list = [...brands.matchAll(/"([^"]+)";\s*v="(\d+)/g)]
+      .map(([, brand, major]) => ({ brand, major }))
+      .filter(({ brand }) => !/not.?a.?brand/i.test(brand));
+    const preferred = list.find(({ brand }) => brand !== 'Chromium') || list[0];
+
+    if (preferred) {
+      parsed.browser = preferred.brand.replace(/^(Google|Microsoft) /, '');
+      parsed.browserMajor = preferred.major;
+    }
+  }
+
+  if (platform) {
+    parsed.os = platform.replace(/"/g, '');
+  }
+
+  return parsed;
+}
+
+/**
+ * Bring a stored stable fingerprint up to the current layout for comparison
+ * @param {Object} stored - Stored fingerprint (or legacy deviceInfo)
+ * @returns {Object} Fingerprint in the current layout
+ */
+function upgradeFingerprint(stored) {
+  if ((stored.version || 1) >= FINGERPRINT_VERSION) {
+    return stored;
+  }
+
+  // v1 stored the raw User-Agent string
+  const { userAgent, ipAddress, ...traits } = stored;
+  return {
+    version: FINGERPRINT_VERSION,
+    ...(userAgent !== undefined ? parseUserAgent(userAgent) : {}),
+    ...traits
+  };
+}
 
 /**
  * Generate a comprehensive device fingerprint
@@ -27,6 +144,14 @@ function generateDeviceFingerprint(req, userId) {
     
     // System characteristics
     timezone: req.get('X-Timezone') || 'UTC',
+
+    // Rendering characteristics from the client SDK (public/js/device-fingerprint.js);
+    // high entropy but driver-dependent, so not part of the device id
+    canvasHash: req.get('X-Canvas-Hash'),
+    webglHash: req.get('X-WebGL-Hash'),
+    webglVendor: req.get('X-WebGL-Vendor'),
+    webglRenderer: req.get('X-WebGL-Renderer'),
+    audioHash: req.get('X-Audio-Hash'),
     
     // Network characteristics (for monitoring, not identification)
     ip: req.ip || req.connection.remoteAddress,
@@ -34,9 +159,11 @@ function generateDeviceFingerprint(req, userId) {
     realIp: req.get('X-Real-IP')
   };
 
-  // Generate primary device ID (stable characteristics only)
+  // Generate primary device ID (stable characteristics only). The User-Agent is
+  // reduced to browser family, major version and OS so patch updates keep the id.
   const stableFingerprint = {
-    userAgent: fingerprint.userAgent,
+    version: FINGERPRINT_VERSION,
+    ...normalizeUserAgent(req),
     platform: fingerprint.platform,
     language: fingerprint.language,
     languages: fingerprint.languages,
@@ -61,45 +188,120 @@ function generateDeviceFingerprint(req, userId) {
 }
 
 /**
- * Check if two device fingerprints are similar (for IP change detection)
- * @param {Object} fingerprint1 - First fingerprint
- * @param {Object} fingerprint2 - Second fingerprint
- * @returns {Object} Similarity analysis
+ * Score how similar two stable fingerprints are (for IP change detection)
+ * @param {Object} fingerprint1 - Current fingerprint
+ * @param {Object} fingerprint2 - Stored fingerprint
+ * @param {Object} options - Optional weights and threshold (percent) overriding the config
+ * @returns {Object} Similarity analysis with a per-trait explanation
  */
-function compareDeviceFingerprints(fingerprint1, fingerprint2) {
-  const stableKeys = [
-    'userAgent', 'platform', 'language', 'languages', 
-    'screenRes', 'colorDepth', 'pixelRatio', 
-    'hardwareConcurrency', 'maxTouchPoints', 'timezone'
-  ];
+function compareDeviceFingerprints(fingerprint1, fingerprint2, options = {}) {
+  const weights = options.weights || getTraitWeights();
+  const threshold = options.threshold !== undefined ? options.threshold : config.FINGERPRINT_MATCH_THRESHOLD;
 
+  let score = 0;
+  let maxScore = 0;
   let matches = 0;
-  let total = stableKeys.length;
+  const traits = [];
   const differences = [];
 
-  stableKeys.forEach(key => {
-    if (fingerprint1[key] === fingerprint2[key]) {
+  Object.keys(weights).forEach(key => {
+    const weight = weights[key];
+    const value1 = fingerprint1[key];
+    const value2 = fingerprint2[key];
+
+    // A trait the stored fingerprint doesn't have says nothing either way: devices
+    // registered before it was collected could otherwise never reach the threshold
+    if (!weight || value2 === undefined) {
+      return;
+    }
+
+    const matched = value1 !== undefined && value1 === value2;
+    maxScore += weight;
+    if (matched) {
+      score += weight;
       matches++;
     } else {
-      differences.push({
-        key,
-        value1: fingerprint1[key],
-        value2: fingerprint2[key]
-      });
+      differences.push({ key, value1, value2 });
     }
+
+    traits.push({
+      key,
+      weight,
+      matched,
+      reason: matched ? 'match' : (value1 === undefined ? 'missing-current' : 'mismatch'),
+      contribution: matched ? weight : 0
+    });
   });
 
-  const similarity = (matches / total) * 100;
+  const confidence = maxScore > 0 ? score / maxScore : 0;
+  const similarity = Math.round(confidence * 1000) / 10;
 
   return {
     similarity,
+    confidence,
+    score,
+    maxScore,
     matches,
-    total,
+    total: traits.length,
     differences,
-    isSimilar: similarity >= 80 // 80% similarity threshold
+    traits,
+    isSimilar: similarity >= threshold
   };
 }
 
+/**
+ * Device ID as generated before fingerprint versioning (v1, raw User-Agent),
+ * used to migrate devices registered under the old scheme
+ * @param {Object} req - Express request object
+ * @param {String} userId - User ID
+ * @returns {String} Legacy device ID
+ */
+function generateLegacyDeviceId(req, userId) {
+  const { stableFingerprint } = generateDeviceFingerprint(req, userId);
+  const { version, browser, browserMajor, os, ...traits } = stableFingerprint;
+
+  return crypto
+    .createHash('sha256')
+    .update(`${userId}-${JSON.stringify({ userAgent: req.get('User-Agent') || '', ...traits })}`)
+    .digest('hex');
+}
+
+/**
+ * Find a registered device the current request can silently take over: one
+ * registered under the legacy id scheme, or one whose stored fingerprint differs
+ * only in volatile traits
+ * @param {Object} currentFingerprint - Current device fingerprint
+ * @param {Array} registeredDevices - User's registered devices
+ * @param {String} legacyDeviceId - Legacy device ID of the current request
+ * @returns {Object|null} { device, reason, changedTraits }
+ */
+function findRekeyableDevice(currentFingerprint, registeredDevices, legacyDeviceId) {
+  const legacyDevice = registeredDevices.find(device => device.deviceId === legacyDeviceId);
+  if (legacyDevice) {
+    return { device: legacyDevice, reason: 'legacy-device-id', changedTraits: [] };
+  }
+
+  const current = currentFingerprint.stableFingerprint;
+  for (let device of registeredDevices) {
+    if (!device.fingerprint) continue;
+
+    const stored = upgradeFingerprint(device.fingerprint);
+    const keys = new Set([...Object.keys(current), ...Object.keys(stored)]);
+    keys.delete('version');
+    const changedTraits = [...keys].filter(key => current[key] !== stored[key]);
+
+    if (changedTraits.every(key => VOLATILE_TRAITS.includes(key))) {
+      return {
+        device,
+        reason: changedTraits.length > 0 ? 'volatile-traits' : 'fingerprint-version',
+        changedTraits
+      };
+    }
+  }
+
+  return null;
+}
+
 /**
  * Generate a fallback device ID for IP changes
  * @param {Object} req - Express request object
@@ -108,8 +310,10 @@ function compareDeviceFingerprints(fingerprint1, fingerprint2) {
  */
 function generateFallbackDeviceId(req, userId) {
   // Use only the most stable characteristics
+  const { browser, os } = normalizeUserAgent(req);
   const stableData = {
-    userAgent: req.get('User-Agent') || '',
+    browser,
+    os,
     platform: req.get('sec-ch-ua-platform') || req.get('X-Platform') || 'Unknown',
     language: req.get('accept-language') || req.get('X-Language') || 'en-US',
     screenRes: req.get('X-Screen-Resolution') || 'unknown',
@@ -129,30 +333,53 @@ function generateFallbackDeviceId(req, userId) {
  * @returns {Object} IP change detection result
  */
 function detectIPChange(currentFingerprint, registeredDevices) {
+  let best = null;
+
   for (let device of registeredDevices) {
-    if (device.deviceInfo) {
-      const comparison = compareDeviceFingerprints(
-        currentFingerprint.stableFingerprint,
-        device.deviceInfo
-      );
-      
-      if (comparison.isSimilar) {
-        return {
-          isIPChange: true,
-          similarDevice: device,
-          similarity: comparison.similarity,
-          differences: comparison.differences
-        };
-      }
+    // Devices registered before full fingerprints were stored only have deviceInfo
+    const stored = device.fingerprint || device.deviceInfo;
+    if (!stored) continue;
+
+    const comparison = compareDeviceFingerprints(
+      currentFingerprint.stableFingerprint,
+      upgradeFingerprint(stored.toObject ? stored.toObject() : stored)
+    );
+    // Compare by confidence: raw scores grow with the number of traits both sides have.
+    // Among equally confident matches, the one backed by more traits wins.
+    if (!best || comparison.confidence > best.comparison.confidence ||
+      (comparison.confidence === best.comparison.confidence && comparison.score > best.comparison.score)) {
+      best = { device, comparison };
     }
   }
-  
-  return { isIPChange: false };
+
+  if (!best || !best.comparison.isSimilar) {
+    return {
+      isIPChange: false,
+      similarity: best ? best.comparison.similarity : 0,
+      confidence: best ? best.comparison.confidence : 0
+    };
+  }
+
+  return {
+    isIPChange: true,
+    similarDevice: best.device,
+    similarity: best.comparison.similarity,
+    confidence: best.comparison.confidence,
+    differences: best.comparison.differences,
+    traits: best.comparison.traits
+  };
 }
 
 module.exports = {
+  FINGERPRINT_VERSION,
   generateDeviceFingerprint,
   compareDeviceFingerprints,
+  getTraitWeights,
+  parseUserAgent,
+  normalizeUserAgent,
+  upgradeFingerprint,
+  generateLegacyDeviceId,
+  findRekeyableDevice,
   generateFallbackDeviceId,
   detectIPChange
 };
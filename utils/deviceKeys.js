@@ -0,0 +1,110 @@
+// Device keys: WebCrypto ECDSA P-256 key pairs proving possession of a registered device
+const crypto = require('crypto');
+const DeviceChallenge = require('../models/DeviceChallenge');
+
+const DEVICE_PROOF_HEADER = 'X-Device-Proof';
+
+const DEVICE_PROOF_MESSAGES = {
+  DEVICE_PROOF_REQUIRED: 'This device uses a device key. Sign a device challenge and send it in the X-Device-Proof header.',
+  INVALID_DEVICE_PROOF: 'Invalid or expired device proof.'
+};
+
+/**
+ * Validate a public key JWK sent by a browser and reduce it to its public members
+ * @param {Object} jwk - Public key in JWK format
+ * @returns {Object|null} Normalized JWK, or null if it isn't an EC P-256 public key
+ */
+function normalizePublicKey(jwk) {
+  if (!jwk || typeof jwk !== 'object' || jwk.kty !== 'EC' || jwk.crv !== 'P-256' || jwk.d) {
+    return null;
+  }
+
+  const publicKey = { kty: 'EC', crv: 'P-256', x: jwk.x, y: jwk.y };
+  try {
+    crypto.createPublicKey({ key: publicKey, format: 'jwk' });
+  } catch (error) {
+    return null;
+  }
+
+  return publicKey;
+}
+
+/**
+ * Verify a WebCrypto ECDSA (SHA-256) signature
+ * @param {Object} publicKey - Public key JWK
+ * @param {String} data - Signed string
+ * @param {String} signature - Base64url signature (raw r||s, as produced by WebCrypto)
+ * @returns {Boolean} Whether the signature is valid
+ */
+function verifySignature(publicKey, data, signature) {
+  try {
+    return crypto.verify(
+      'sha256',
+      Buffer.from(data),
+      { key: crypto.createPublicKey({ key: publicKey, format: 'jwk' }), dsaEncoding: 'ieee-p1363' },
+      Buffer.from(String(signature), 'base64url')
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read a device proof from the X-Device-Proof header ("<challengeId>.<signature>")
+ * @param {Object} req - Express request object
+ * @returns {Object|null} { challengeId, signature }
+ */
+function getDeviceProof(req) {
+  const header = req.get(DEVICE_PROOF_HEADER);
+  if (!header || !header.includes('.')) {
+    return null;
+  }
+
+  const [challengeId, signature] = header.split('.', 2);
+  return { challengeId, signature };
+}
+
+/**
+ * Consume a challenge and check that it was signed by the given key.
+ * The challenge is used up even if the signature is wrong.
+ * @param {Object} publicKey - Public key JWK
+ * @param {Object} proof - { challengeId, signature }
+ * @returns {Promise<Boolean>} Whether the proof is valid
+ */
+async function verifyDeviceProof(publicKey, proof) {
+  const challenge = await DeviceChallenge.consume(proof.challengeId, 'device-key');
+  if (!challenge) {
+    return false;
+  }
+
+  return verifySignature(publicKey, challenge.nonce, proof.signature);
+}
+
+/**
+ * Check the device proof of a request against a registered device
+ * @param {Object} req - Express request object
+ * @param {Object} device - Registered device entry
+ * @returns {Promise<String|null>} Error code, or null if the device has no key or the proof is valid
+ */
+async function checkDeviceProof(req, device) {
+  if (!device || !device.publicKey) {
+    return null;
+  }
+
+  const proof = getDeviceProof(req);
+  if (!proof) {
+    return 'DEVICE_PROOF_REQUIRED';
+  }
+
+  return await verifyDeviceProof(device.publicKey, proof) ? null : 'INVALID_DEVICE_PROOF';
+}
+
+module.exports = {
+  DEVICE_PROOF_HEADER,
+  DEVICE_PROOF_MESSAGES,
+  normalizePublicKey,
+  verifySignature,
+  getDeviceProof,
+  verifyDeviceProof,
+  checkDeviceProof
+};
@@ -0,0 +1,177 @@
+// Plausibility checks for the device traits a request presents
+const config = require('../config');
+const { parseUserAgent } = require('./deviceFingerprint');
+
+// Points each failed check adds to the suspicion score (capped at 100)
+const DEFAULT_CHECK_WEIGHTS = {
+  // Headless browsers, automation frameworks and HTTP libraries
+  'automation-user-agent': 60,
+  'webdriver': 60,
+  'empty-user-agent': 40,
+  'software-renderer': 30,
+  // Traits that can't all be true of the same device
+  'platform-mismatch': 40,
+  'navigator-platform-mismatch': 30,
+  'touch-mismatch': 30,
+  'mobile-hint-mismatch': 25,
+  'brand-mismatch': 30,
+  'gpu-mismatch': 25,
+  // Headers every real browser (or our SDK) sends
+  'missing-client-hints': 20,
+  'missing-accept-language': 15,
+  'missing-sdk-traits': 15
+};
+
+const AUTOMATION_PATTERN = /HeadlessChrome|PhantomJS|Selenium|WebDriver|Puppeteer|Playwright|curl\/|Wget|python-requests|python-urllib|aiohttp|Go-http-client|okhttp|axios|node-fetch|undici|Java\//i;
+const SOFTWARE_RENDERER_PATTERN = /SwiftShader|llvmpipe|softpipe|Mesa OffScreen/i;
+
+const MOBILE_SYSTEMS = ['iOS', 'Android'];
+const DESKTOP_SYSTEMS = ['Windows', 'macOS', 'Linux', 'ChromeOS'];
+
+// Client Hints (sec-ch-ua-platform) and navigator.platform spellings of each OS
+const PLATFORM_NAMES = {
+  Windows: [/^Windows$/, /^Win/],
+  macOS: [/^macOS$/, /^Mac/],
+  iOS: [/^iOS$/, /^iP(hone|ad|od)/],
+  Android: [/^Android$/, /^Linux/],
+  ChromeOS: [/^Chrome OS$/, /^ChromeOS$/, /^Linux/],
+  Linux: [/^Linux/]
+};
+
+const SUSPICION_MESSAGES = {
+  SUSPICIOUS_DEVICE: 'This device presents contradictory or automated browser traits and cannot be used.',
+  DEVICE_REVIEW_REQUIRED: 'This device needs an administrator review. Please submit a device change request.'
+};
+
+/**
+ * Check weights in effect (defaults merged with FINGERPRINT_SUSPICION_WEIGHTS)
+ * @returns {Object} Weight per check
+ */
+function getCheckWeights() {
+  return { ...DEFAULT_CHECK_WEIGHTS, ...config.FINGERPRINT_SUSPICION_WEIGHTS };
+}
+
+const platformMatchesOs = (platform, os) => {
+  const names = PLATFORM_NAMES[os];
+  // Nothing to compare against for unknown systems
+  return !names || names.some(pattern => pattern.test(platform));
+};
+
+const isUnknown = (value) => !value || value === 'unknown' || value === 'unsupported' || value === 'Unknown';
+
+/**
+ * Look for traits that contradict each other, automation markers and missing headers
+ * @param {Object} req - Express request object
+ * @returns {Object} { score, action ('allow' | 'review' | 'block'), flags, details: [{ check, weight, detail }] }
+ */
+function analyzeFingerprintConsistency(req) {
+  const weights = getCheckWeights();
+  const details = [];
+  const flag = (check, detail) => {
+    if (weights[check]) {
+      details.push({ check, weight: weights[check], detail });
+    }
+  };
+
+  const userAgent = req.get('User-Agent') || '';
+  const { browser, browserMajor, os } = parseUserAgent(userAgent);
+  const hintPlatform = (req.get('sec-ch-ua-platform') || '').replace(/"/g, '');
+  const hintMobile = req.get('sec-ch-ua-mobile');
+  const brands = req.get('sec-ch-ua') || '';
+  const navigatorPlatform = req.get('X-Platform');
+  const maxTouchPoints = req.get('X-Max-Touch-Points');
+  const webglVendor = req.get('X-WebGL-Vendor') || '';
+  const webglRenderer = req.get('X-WebGL-Renderer') || '';
+  const chromium = ['Chrome', 'Edge', 'Opera', 'Samsung Internet'].includes(browser);
+
+  // Automation markers
+  if (!userAgent) {
+    flag('empty-user-agent', 'No User-Agent header');
+  } else if (AUTOMATION_PATTERN.test(userAgent) || /HeadlessChrome/i.test(brands)) {
+    flag('automation-user-agent', `User-Agent looks automated: ${userAgent.slice(0, 100)}`);
+  }
+  if (req.get('X-Webdriver') === 'true') {
+    flag('webdriver', 'navigator.webdriver is set');
+  }
+  if (SOFTWARE_RENDERER_PATTERN.test(webglRenderer)) {
+    flag('software-renderer', `Software WebGL renderer: ${webglRenderer}`);
+  }
+
+  // Contradictory traits
+  if (hintPlatform && os !== 'Other' && !platformMatchesOs(hintPlatform, os)) {
+    flag('platform-mismatch', `sec-ch-ua-platform "${hintPlatform}" but User-Agent says ${os}`);
+  }
+  if (!isUnknown(navigatorPlatform) && os !== 'Other' && !platformMatchesOs(navigatorPlatform, os)) {
+    flag('navigator-platform-mismatch', `navigator.platform "${navigatorPlatform}" but User-Agent says ${os}`);
+  }
+  if (MOBILE_SYSTEMS.includes(os) && maxTouchPoints !== undefined && Number(maxTouchPoints) === 0) {
+    flag('touch-mismatch', `${os} User-Agent without touch support`);
+  }
+  if (hintMobile === '?1' && DESKTOP_SYSTEMS.includes(os)) {
+    flag('mobile-hint-mismatch', `sec-ch-ua-mobile says mobile but User-Agent says ${os}`);
+  }
+  if (brands && !chromium && browser !== 'Other') {
+    flag('brand-mismatch', `Client Hints sent by ${browser}, which doesn't support them`);
+  } else if (brands && chromium && browserMajor) {
+    const hintMajors = [...brands.matchAll(/"([^"]+)";\s*v="(\d+)/g)]
+      .filter(([, brand]) => !/not.?a.?brand/i.test(brand))
+      .map(([, , major]) => major);
+    if (hintMajors.length && !hintMajors.includes(browserMajor)) {
+      flag('brand-mismatch', `sec-ch-ua versions ${hintMajors.join('/')} but User-Agent says ${browserMajor}`);
+    }
+  }
+  const gpu = `${webglVendor} ${webglRenderer}`;
+  if ((/Apple/.test(gpu) && !['macOS', 'iOS'].includes(os) && os !== 'Other') ||
+      (/Direct3D/.test(gpu) && os !== 'Windows' && os !== 'Other')) {
+    flag('gpu-mismatch', `WebGL renderer "${webglRenderer}" on ${os}`);
+  }
+
+  // Missing headers. Client Hints are only sent over HTTPS (or to localhost) by Chromium 90+.
+  const hintsExpected = req.secure || ['localhost', '127.0.0.1', '::1'].includes(req.hostname);
+  if (chromium && Number(browserMajor) >= 90 && !brands && hintsExpected) {
+    flag('missing-client-hints', `${browser} ${browserMajor} without sec-ch-ua headers`);
+  }
+  if (!req.get('accept-language')) {
+    flag('missing-accept-language', 'No Accept-Language header');
+  }
+  if (!req.get('X-Screen-Resolution') && !req.get('X-Timezone') && !req.get('X-Hardware-Concurrency')) {
+    flag('missing-sdk-traits', 'No fingerprint headers from the client SDK');
+  }
+
+  const score = Math.min(100, details.reduce((total, item) => total + item.weight, 0));
+
+  let action = 'allow';
+  if (config.FINGERPRINT_SUSPICION_BLOCK_THRESHOLD > 0 && score >= config.FINGERPRINT_SUSPICION_BLOCK_THRESHOLD) {
+    action = 'block';
+  } else if (config.FINGERPRINT_SUSPICION_REVIEW_THRESHOLD > 0 && score >= config.FINGERPRINT_SUSPICION_REVIEW_THRESHOLD) {
+    action = 'review';
+  }
+
+  return {
+    score,
+    action,
+    flags: details.map(item => item.check),
+    details
+  };
+}
+
+/**
+ * Compact form stored on audit events, device change requests and pairings
+ * @param {Object} analysis - Result of analyzeFingerprintConsistency
+ * @returns {Object} { score, action, flags }
+ */
+function summarizeSuspicion(analysis) {
+  return {
+    score: analysis.score,
+    action: analysis.action,
+    flags: analysis.flags
+  };
+}
+
+module.exports = {
+  DEFAULT_CHECK_WEIGHTS,
+  SUSPICION_MESSAGES,
+  getCheckWeights,
+  analyzeFingerprintConsistency,
+  summarizeSuspicion
+};
@@ -0,0 +1,363 @@
+// IP geolocation from a local CSV database, plus travel and country checks
+const fs = require('fs');
+const readline = require('readline');
+const config = require('../config');
+const { parseIp, parseCidr, isPrivateIp } = require('./ipAddress');
+
+const EARTH_RADIUS_KM = 6371;
+const UINT64_MASK = (1n << 64n) - 1n;
+
+const GEO_MESSAGES = {
+  COUNTRY_NOT_ALLOWED: 'Sign-in from your current country is not allowed for this account.'
+};
+
+// Set by loadGeoIpDatabase at startup: undefined = not loaded (yet), null = disabled or failed
+let database;
+
+// Split one CSV line, honouring quoted fields
+const parseCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields;
+};
+
+// Stream a CSV file with a header line, calling onRow with an object per line
+const readCsv = async (path, onRow) => {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(path, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+  let header = null;
+
+  for await (const line of lines) {
+    if (!header) {
+      header = parseCsvLine(line).map(name => name.trim().toLowerCase());
+      continue;
+    }
+    if (!line) continue;
+
+    const fields = parseCsvLine(line);
+    const row = {};
+    header.forEach((name, index) => {
+      row[name] = fields[index];
+    });
+    onRow(row);
+  }
+};
+
+const toCoordinate = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Append-only typed array that doubles its capacity as it fills
+const createTypedList = (Type) => {
+  let items = new Type(1024);
+  let length = 0;
+
+  return {
+    push(value) {
+      if (length === items.length) {
+        const grown = new Type(length * 2);
+        grown.set(items);
+        items = grown;
+      }
+      items[length++] = value;
+    },
+    get length() {
+      return length;
+    },
+    toArray() {
+      return items.slice(0, length);
+    }
+  };
+};
+
+// Ranges of one address family in typed arrays (IPv6 bounds split into two 64-bit halves),
+// each pointing into a shared list of distinct locations
+const createRangeTable = (family) => {
+  const lists = family === 4
+    ? { start: createTypedList(Uint32Array), end: createTypedList(Uint32Array) }
+    : {
+      startHigh: createTypedList(BigUint64Array),
+      startLow: createTypedList(BigUint64Array),
+      endHigh: createTypedList(BigUint64Array),
+      endLow: createTypedList(BigUint64Array)
+    };
+  const location = createTypedList(Uint32Array);
+
+  return {
+    add(range, locationIndex) {
+      if (family === 4) {
+        lists.start.push(Number(range.start));
+        lists.end.push(Number(range.end));
+      } else {
+        lists.startHigh.push(range.start >> 64n);
+        lists.startLow.push(range.start & UINT64_MASK);
+        lists.endHigh.push(range.end >> 64n);
+        lists.endLow.push(range.end & UINT64_MASK);
+      }
+      location.push(locationIndex);
+    },
+    build() {
+      const arrays = { location: location.toArray() };
+      Object.keys(lists).forEach(key => {
+        arrays[key] = lists[key].toArray();
+      });
+
+      const bound = family === 4
+        ? (name, i) => arrays[name][i]
+        : (name, i) => (arrays[`${name}High`][i] << 64n) | arrays[`${name}Low`][i];
+
+      // MaxMind files are sorted by network already; anything else is sorted once here
+      const count = arrays.location.length;
+      let sorted = true;
+      for (let i = 1; i < count && sorted; i++) {
+        sorted = bound('start', i - 1) <= bound('start', i);
+      }
+      if (!sorted) {
+        const order = Array.from({ length: count }, (_, i) => i)
+          .sort((a, b) => (bound('start', a) < bound('start', b) ? -1 : bound('start', a) > bound('start', b) ? 1 : 0));
+        Object.keys(arrays).forEach(key => {
+          const reordered = new arrays[key].constructor(count);
+          order.forEach((from, to) => {
+            reordered[to] = arrays[key][from];
+          });
+          arrays[key] = reordered;
+        });
+      }
+
+      return { family, count, bound, location: arrays.location };
+    }
+  };
+};
+
+// MaxMind GeoLite2/GeoIP2 locations file: geoname_id -> country and city
+const readLocations = async (path) => {
+  const locations = new Map();
+  await readCsv(path, (row) => {
+    locations.set(row.geoname_id, {
+      country: row.country_iso_code || null,
+      countryName: row.country_name || null,
+      city: row.city_name || null
+    });
+  });
+  return locations;
+};
+
+// Address range of a blocks row: MaxMind "network" (CIDR) or "start_ip"/"end_ip"
+const getRowRange = (row) => {
+  if (row.network) {
+    return parseCidr(row.network);
+  }
+  const start = parseIp(row.start_ip);
+  const end = parseIp(row.end_ip);
+  return start && end && start.family === end.family
+    ? { family: start.family, start: start.value, end: end.value }
+    : null;
+};
+
+/**
+ * Load GEOIP_DATABASE (and GEOIP_LOCATIONS for MaxMind CSV editions), streaming the rows
+ * into compact sorted ranges. Called once at startup; a database that fails to load stays
+ * disabled until the process restarts.
+ * @returns {Promise<Object|null>} { 4: table, 6: table, locations }, or null when geolocation is off
+ */
+async function loadGeoIpDatabase() {
+  if (database !== undefined) {
+    return database;
+  }
+  database = null;
+  if (!config.GEOIP_DATABASE) {
+    return database;
+  }
+
+  try {
+    const places = config.GEOIP_LOCATIONS ? await readLocations(config.GEOIP_LOCATIONS) : new Map();
+    const tables = { 4: createRangeTable(4), 6: createRangeTable(6) };
+    // Rows share few distinct locations, so each is stored once
+    const locations = [];
+    const locationIndexes = new Map();
+
+    await readCsv(config.GEOIP_DATABASE, (row) => {
+      const range = getRowRange(row);
+      if (!range) return;
+
+      const place = places.get(row.geoname_id) || places.get(row.registered_country_geoname_id) || {};
+      const country = row.country_iso_code || row.country || place.country;
+      const location = {
+        country: country ? country.toUpperCase() : null,
+        countryName: row.country_name || place.countryName || null,
+        city: row.city_name || row.city || place.city || null,
+        latitude: toCoordinate(row.latitude),
+        longitude: toCoordinate(row.longitude)
+      };
+
+      const key = `${location.country}|${location.countryName}|${location.city}|${location.latitude}|${location.longitude}`;
+      let index = locationIndexes.get(key);
+      if (index === undefined) {
+        index = locations.push(location) - 1;
+        locationIndexes.set(key, index);
+      }
+      tables[range.family].add(range, index);
+    });
+
+    database = { 4: tables[4].build(), 6: tables[6].build(), locations };
+    console.log(`✅ Loaded ${database[4].count + database[6].count} GeoIP ranges`);
+  } catch (error) {
+    console.error('GeoIP database error:', error);
+  }
+
+  return database;
+}
+
+/**
+ * Geolocate an address (needs loadGeoIpDatabase to have finished; never loads it)
+ * @param {String} ip - IP address
+ * @returns {Object|null} { country, countryName, city, latitude, longitude }, or null for
+ * private and unknown addresses or when no database is loaded
+ */
+function lookupIp(ip) {
+  const parsed = parseIp(ip);
+  if (!database || !parsed || isPrivateIp(ip)) {
+    return null;
+  }
+
+  const table = database[parsed.family];
+  const value = parsed.family === 4 ? Number(parsed.value) : parsed.value;
+
+  // Last range starting at or before the address
+  let low = 0;
+  let high = table.count - 1;
+  let candidate = -1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (table.bound('start', middle) <= value) {
+      candidate = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return candidate >= 0 && value <= table.bound('end', candidate)
+    ? { ...database.locations[table.location[candidate]] }
+    : null;
+}
+
+/**
+ * Human-readable location stored on devices and device change requests
+ * @param {Object|null} geo - Result of lookupIp
+ * @returns {String|undefined} e.g. "Berlin, DE"
+ */
+function formatLocation(geo) {
+  if (!geo) {
+    return undefined;
+  }
+  return [geo.city, geo.country || geo.countryName].filter(Boolean).join(', ') || undefined;
+}
+
+/**
+ * Great-circle distance between two locations
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {Number} Distance in kilometres
+ */
+function distanceKm(from, to) {
+  const radians = (degrees) => degrees * Math.PI / 180;
+  const dLat = radians(to.latitude - from.latitude);
+  const dLon = radians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(radians(from.latitude)) * Math.cos(radians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+const hasCoordinates = (geo) => Boolean(geo) && geo.latitude !== null && geo.latitude !== undefined &&
+  geo.longitude !== null && geo.longitude !== undefined;
+
+/**
+ * Compare a sign-in with the previous one: covering the distance in the time between
+ * them would take more than GEOIP_MAX_TRAVEL_SPEED_KMH
+ * @param {Object|null} previous - { location, at } of the last sign-in
+ * @param {Object|null} current - Location of this sign-in (result of lookupIp)
+ * @param {Date} now - Time of this sign-in
+ * @returns {Object|null} { impossible, distanceKm, hours, speedKmh, from, to }, or null without coordinates
+ */
+function checkImpossibleTravel(previous, current, now = new Date()) {
+  if (!previous || !hasCoordinates(previous.location) || !hasCoordinates(current)) {
+    return null;
+  }
+
+  const distance = Math.round(distanceKm(previous.location, current));
+  const hours = Math.max(0, (now.getTime() - new Date(previous.at).getTime()) / (60 * 60 * 1000));
+  const speedKmh = hours > 0 ? Math.round(distance / hours) : (distance > 0 ? Infinity : 0);
+
+  return {
+    // GeoIP is only accurate to a city or region, so short hops never count
+    impossible: distance >= config.GEOIP_MIN_TRAVEL_DISTANCE_KM && speedKmh > config.GEOIP_MAX_TRAVEL_SPEED_KMH,
+    distanceKm: distance,
+    hours: Math.round(hours * 100) / 100,
+    speedKmh: Number.isFinite(speedKmh) ? speedKmh : null,
+    from: formatLocation(previous.location),
+    to: formatLocation(current)
+  };
+}
+
+/**
+ * Check an address against a policy's country lists. Private addresses always pass;
+ * public addresses of unknown location only pass without an allow list.
+ * @param {String} ip - IP address
+ * @param {Object} policy - Effective device policy ({ allowedCountries, blockedCountries })
+ * @returns {Object} { allowed, country }
+ */
+function checkCountryAccess(ip, policy) {
+  const allowedCountries = policy.allowedCountries || [];
+  const blockedCountries = policy.blockedCountries || [];
+  const geo = lookupIp(ip);
+  const country = geo ? geo.country : null;
+
+  if (isPrivateIp(ip) || (allowedCountries.length === 0 && blockedCountries.length === 0)) {
+    return { allowed: true, country };
+  }
+  if (country && blockedCountries.includes(country)) {
+    return { allowed: false, country };
+  }
+  return {
+    allowed: allowedCountries.length === 0 || (Boolean(country) && allowedCountries.includes(country)),
+    country
+  };
+}
+
+module.exports = {
+  GEO_MESSAGES,
+  loadGeoIpDatabase,
+  lookupIp,
+  formatLocation,
+  distanceKm,
+  checkImpossibleTravel,
+  checkCountryAccess
+};
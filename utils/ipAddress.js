@@ -0,0 +1,150 @@
+// IPv4/IPv6 address and CIDR parsing
+const net = require('net');
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix Express reports for IPv4 clients on dual-stack sockets
+ * @param {String} ip - IP address
+ * @returns {String} Address as the client used it
+ */
+function normalizeIp(ip) {
+  return String(ip || '').trim().replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i, '$1');
+}
+
+/**
+ * Expand an IPv6 address to its eight 16-bit groups
+ * @param {String} address - IPv6 address (may use :: and a trailing dotted IPv4 part)
+ * @returns {Array<Number>} Groups
+ */
+function expandIPv6(address) {
+  let text = address.split('%')[0];
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted[1].split('.').map(Number);
+    text = text.slice(0, -dotted[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail !== undefined
+    ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+    : headGroups;
+
+  return groups.map(group => parseInt(group, 16));
+}
+
+/**
+ * Parse an address into its family and numeric value
+ * @param {String} ip - IP address
+ * @returns {Object|null} { family (4 | 6), value (BigInt) }
+ */
+function parseIp(ip) {
+  const address = normalizeIp(ip);
+
+  if (net.isIPv4(address)) {
+    const value = address.split('.').reduce((total, octet) => (total << 8n) + BigInt(octet), 0n);
+    return { family: 4, value };
+  }
+  if (net.isIPv6(address)) {
+    const value = expandIPv6(address).reduce((total, group) => (total << 16n) + BigInt(group), 0n);
+    return { family: 6, value };
+  }
+  return null;
+}
+
+/**
+ * Parse a CIDR block (a bare address is a single-address block)
+ * @param {String} cidr - e.g. "10.0.0.0/8" or "2001:db8::/32"
+ * @returns {Object|null} { family, start, end, prefix } with BigInt bounds
+ */
+function parseCidr(cidr) {
+  const [address, prefixText] = String(cidr || '').trim().split('/');
+  const parsed = parseIp(address);
+  if (!parsed || (prefixText !== undefined && !/^\d+$/.test(prefixText))) {
+    return null;
+  }
+
+  const bits = parsed.family === 4 ? 32 : 128;
+  const prefix = prefixText === undefined ? bits : Number(prefixText);
+  if (prefix > bits) {
+    return null;
+  }
+
+  const hostBits = BigInt(bits - prefix);
+  const start = (parsed.value >> hostBits) << hostBits;
+  return {
+    family: parsed.family,
+    start,
+    end: start + (1n << hostBits) - 1n,
+    prefix
+  };
+}
+
+/**
+ * Check whether an address lies in a parsed CIDR block
+ * @param {Object} block - Result of parseCidr
+ * @param {Object} parsedIp - Result of parseIp
+ * @returns {Boolean} Whether the block contains the address
+ */
+function cidrContains(block, parsedIp) {
+  return Boolean(block && parsedIp) &&
+    block.family === parsedIp.family &&
+    parsedIp.value >= block.start &&
+    parsedIp.value <= block.end;
+}
+
+/**
+ * Whether an address is loopback, private, link-local or otherwise not routed on the internet
+ * @param {String} ip - IP address
+ * @returns {Boolean}
+ */
+function isPrivateIp(ip) {
+  const parsed = parseIp(ip);
+  if (!parsed) {
+    return false;
+  }
+
+  const blocks = parsed.family === 4
+    ? ['0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12', '192.168.0.0/16']
+    : ['::/128', '::1/128', 'fc00::/7', 'fe80::/10'];
+  return blocks.some(block => cidrContains(parseCidr(block), parsed));
+}
+
+const IP_ACCESS_MESSAGES = {
+  IP_NOT_ALLOWED: 'Access from your network is not allowed for this account.'
+};
+
+/**
+ * Check an address against a policy's IP lists: a blocked range always refuses,
+ * a non-empty allow list refuses everything outside it
+ * @param {String} ip - Client address (req.ip, which honours the trust proxy setting)
+ * @param {Object} policy - Effective device policy ({ allowedIpRanges, blockedIpRanges })
+ * @returns {Object} { allowed, rule } where rule is the matching range, if any
+ */
+function checkIpAccess(ip, policy) {
+  const allowedIpRanges = policy.allowedIpRanges || [];
+  const blockedIpRanges = policy.blockedIpRanges || [];
+  const parsed = parseIp(ip);
+
+  const blockedBy = blockedIpRanges.find(range => cidrContains(parseCidr(range), parsed));
+  if (blockedBy) {
+    return { allowed: false, rule: blockedBy };
+  }
+  if (allowedIpRanges.length === 0) {
+    return { allowed: true, rule: null };
+  }
+
+  const allowedBy = allowedIpRanges.find(range => cidrContains(parseCidr(range), parsed));
+  return { allowed: Boolean(allowedBy), rule: allowedBy || null };
+}
+
+module.exports = {
+  IP_ACCESS_MESSAGES,
+  normalizeIp,
+  expandIPv6,
+  parseIp,
+  parseCidr,
+  cidrContains,
+  isPrivateIp,
+  checkIpAccess
+};
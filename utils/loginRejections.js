@@ -0,0 +1,177 @@
+// Audited sign-in refusals shared by the password and passkey login routes
+const User = require('../models/User');
+const AccessSchedule = require('../models/AccessSchedule');
+const AuditEvent = require('../models/AuditEvent');
+const { SUSPICION_MESSAGES } = require('./fingerprintConsistency');
+const { RISK_MESSAGES } = require('./loginRisk');
+const { GEO_MESSAGES } = require('./geoip');
+const { IP_ACCESS_MESSAGES } = require('./ipAddress');
+
+/**
+ * Refuse a sign-in while the account is backing off or locked
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {String} action - Audit action of the refused attempt
+ * @param {Object} user - User document
+ * @param {Object} throttle - Result of User#getLoginThrottle
+ * @returns {Promise<Object>} Express response
+ */
+async function rejectThrottledLogin(req, res, action, user, throttle) {
+  const retryAfter = Math.max(1, Math.ceil((throttle.retryAt.getTime() - Date.now()) / 1000));
+  await AuditEvent.record(req, {
+    action,
+    outcome: 'failure',
+    reason: throttle.code === 'ACCOUNT_LOCKED' ? 'account-locked' : 'login-backoff',
+    target: user._id
+  });
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(throttle.code === 'ACCOUNT_LOCKED' ? 423 : 429).json({
+    success: false,
+    message: User.LOGIN_THROTTLE_MESSAGES[throttle.code],
+    code: throttle.code,
+    data: { retryAfter, retryAt: throttle.retryAt }
+  });
+}
+
+/**
+ * Refuse a device whose traits are too suspicious to use (block) or to approve without an admin (review)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {String} action - Audit action of the refused attempt
+ * @param {Object} user - User document
+ * @param {String} deviceId - Device the attempt came from
+ * @param {String} code - SUSPICIOUS_DEVICE or DEVICE_REVIEW_REQUIRED
+ * @returns {Promise<Object>} Express response
+ */
+async function rejectSuspiciousDevice(req, res, action, user, deviceId, code) {
+  await AuditEvent.record(req, {
+    action,
+    outcome: 'failure',
+    reason: code === 'SUSPICIOUS_DEVICE' ? 'suspicious-device' : 'device-review-required',
+    target: user._id,
+    deviceId
+  });
+
+  return res.status(403).json({
+    success: false,
+    message: SUSPICION_MESSAGES[code],
+    code,
+    data: { requiresReview: code === 'DEVICE_REVIEW_REQUIRED' }
+  });
+}
+
+/**
+ * Refuse a client address outside the allowed or inside a blocked IP range of the user's device policy
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {String} action - Audit action of the refused attempt
+ * @param {Object} user - User document
+ * @param {String} deviceId - Device the attempt came from
+ * @param {String|null} rule - Range that decided the check
+ * @returns {Promise<Object>} Express response
+ */
+async function rejectIpAddress(req, res, action, user, deviceId, rule) {
+  await AuditEvent.record(req, {
+    action,
+    outcome: 'failure',
+    reason: 'ip-not-allowed',
+    target: user._id,
+    deviceId,
+    metadata: { rule }
+  });
+
+  return res.status(403).json({
+    success: false,
+    message: IP_ACCESS_MESSAGES.IP_NOT_ALLOWED,
+    code: 'IP_NOT_ALLOWED'
+  });
+}
+
+/**
+ * Refuse a sign-in from a country the user's device policy doesn't allow
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {String} action - Audit action of the refused attempt
+ * @param {Object} user - User document
+ * @param {String} deviceId - Device the attempt came from
+ * @param {String|null} country - Country the address resolved to
+ * @returns {Promise<Object>} Express response
+ */
+async function rejectCountry(req, res, action, user, deviceId, country) {
+  await AuditEvent.record(req, {
+    action,
+    outcome: 'failure',
+    reason: 'country-not-allowed',
+    target: user._id,
+    deviceId,
+    metadata: { country }
+  });
+
+  return res.status(403).json({
+    success: false,
+    message: GEO_MESSAGES.COUNTRY_NOT_ALLOWED,
+    code: 'COUNTRY_NOT_ALLOWED'
+  });
+}
+
+/**
+ * Refuse a sign-in outside the access windows of the user or their roles
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User document
+ * @param {String} deviceId - Device the attempt came from
+ * @param {Array<Object>} schedules - Schedules from AccessSchedule.checkAccess
+ * @returns {Promise<Object>} Express response
+ */
+async function rejectOutsideAccessWindow(req, res, user, deviceId, schedules) {
+  await AuditEvent.record(req, {
+    action: 'auth.login',
+    outcome: 'failure',
+    reason: 'outside-access-window',
+    target: user._id,
+    deviceId
+  });
+
+  return res.status(403).json({
+    success: false,
+    message: AccessSchedule.ACCESS_SCHEDULE_MESSAGES.OUTSIDE_ACCESS_WINDOW,
+    code: 'OUTSIDE_ACCESS_WINDOW',
+    data: { schedules: AccessSchedule.describe(schedules) }
+  });
+}
+
+/**
+ * Refuse a sign-in scored too risky, or whose step-up code is wrong
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User document
+ * @param {String} deviceId - Device the attempt came from
+ * @param {String} code - LOGIN_RISK_DENIED or INVALID_STEP_UP_CODE
+ * @returns {Promise<Object>} Express response
+ */
+async function rejectRiskyLogin(req, res, user, deviceId, code) {
+  await AuditEvent.record(req, {
+    action: 'auth.login',
+    outcome: 'failure',
+    reason: code === 'LOGIN_RISK_DENIED' ? 'login-risk-denied' : 'invalid-step-up-code',
+    target: user._id,
+    deviceId
+  });
+
+  return res.status(code === 'LOGIN_RISK_DENIED' ? 403 : 401).json({
+    success: false,
+    message: RISK_MESSAGES[code],
+    code,
+    data: { requiresStepUp: code === 'INVALID_STEP_UP_CODE' }
+  });
+}
+
+module.exports = {
+  rejectThrottledLogin,
+  rejectSuspiciousDevice,
+  rejectIpAddress,
+  rejectCountry,
+  rejectOutsideAccessWindow,
+  rejectRiskyLogin
+};
@@ -0,0 +1,165 @@
+// Risk scoring of sign-ins from the signals the login route already has
+const net = require('net');
+const config = require('../config');
+const { compareDeviceFingerprints, upgradeFingerprint } = require('./deviceFingerprint');
+const { normalizeIp, expandIPv6 } = require('./ipAddress');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Points each signal adds at full strength (the score is capped at 100)
+const DEFAULT_SIGNAL_WEIGHTS = {
+  // Network the sign-in comes from, compared with the user's registered devices
+  'new-ip': 10,
+  'new-subnet': 20,
+  // How far the presented traits are from the closest registered device
+  'fingerprint-drift': 30,
+  // The matched device hasn't been used for LOGIN_RISK_DORMANT_DAYS
+  'dormant-device': 15,
+  // Distance from the previous sign-in that couldn't be travelled in the time between
+  'impossible-travel': 50,
+  // Failed sign-ins since the last successful one
+  'recent-failures': 25,
+  // Suspicion score of the device traits (see utils/fingerprintConsistency)
+  'suspicious-traits': 40
+};
+
+const RISK_MESSAGES = {
+  LOGIN_RISK_DENIED: 'This sign-in looks too risky and was blocked. Please contact an administrator.',
+  STEP_UP_REQUIRED: 'Additional verification is required. Enter the code sent to your e-mail address.',
+  INVALID_STEP_UP_CODE: 'Invalid or expired verification code.',
+  STEP_UP_UNAVAILABLE: 'Additional verification is required but no code can be sent right now. Sign in with your authenticator app or passkey, or try again later.'
+};
+
+/**
+ * Signal weights in effect (defaults merged with LOGIN_RISK_WEIGHTS)
+ * @returns {Object} Weight per signal
+ */
+function getSignalWeights() {
+  return { ...DEFAULT_SIGNAL_WEIGHTS, ...config.LOGIN_RISK_WEIGHTS };
+}
+
+/**
+ * Network an address belongs to: /24 for IPv4, /48 for IPv6
+ * @param {String} ip - IP address (IPv4-mapped IPv6 is treated as IPv4)
+ * @returns {String|null} Subnet prefix
+ */
+function getSubnet(ip) {
+  const address = normalizeIp(ip);
+
+  if (net.isIPv4(address)) {
+    return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+  if (net.isIPv6(address)) {
+    return `${expandIPv6(address).slice(0, 3).map(group => group.toString(16)).join(':')}::/48`;
+  }
+  return null;
+}
+
+/**
+ * Score a sign-in whose credentials are already verified
+ * @param {Object} req - Express request object
+ * @param {Object} user - User document
+ * @param {Object} context - { deviceId, suspicion, travel (see utils/geoip), recentFailures }
+ * @returns {Object} { score, action ('allow' | 'step-up' | 'deny'), signals, details: [{ signal, weight, points, detail }] }
+ */
+function assessLoginRisk(req, user, { deviceId, suspicion, travel, recentFailures = 0 }) {
+  const weights = getSignalWeights();
+  const details = [];
+  // strength is 0..1 of the signal's weight
+  const signal = (name, strength, detail) => {
+    const points = Math.round((weights[name] || 0) * Math.min(1, strength));
+    if (points > 0) {
+      details.push({ signal: name, weight: weights[name], points, detail });
+    }
+  };
+
+  const devices = user.registeredDevices || [];
+  // Nothing to compare against before the first device is registered
+  if (devices.length > 0) {
+    const ip = req.ip || req.connection.remoteAddress;
+    const knownIps = devices.map(device => device.deviceInfo && device.deviceInfo.ipAddress).filter(Boolean);
+    if (!knownIps.includes(ip)) {
+      signal('new-ip', 1, `${ip} is not the address of a registered device`);
+      const subnet = getSubnet(ip);
+      if (!knownIps.map(getSubnet).includes(subnet)) {
+        signal('new-subnet', 1, `${subnet || ip} is not the network of a registered device`);
+      }
+    }
+
+    let matched = devices.find(device => device.deviceId === deviceId);
+    let similarity = matched ? 100 : 0;
+    if (!matched) {
+      const { stableFingerprint } = user.getDeviceFingerprint(req);
+      for (let device of devices) {
+        const stored = device.fingerprint || device.deviceInfo;
+        if (!stored) continue;
+
+        const comparison = compareDeviceFingerprints(
+          stableFingerprint,
+          upgradeFingerprint(stored.toObject ? stored.toObject() : stored)
+        );
+        if (comparison.similarity > similarity) {
+          similarity = comparison.similarity;
+          matched = comparison.isSimilar ? device : matched;
+        }
+      }
+      signal('fingerprint-drift', (100 - similarity) / 100, `Closest registered device is ${similarity}% similar`);
+    }
+
+    const dormantDays = config.LOGIN_RISK_DORMANT_DAYS;
+    if (matched && matched.lastUsed && dormantDays > 0) {
+      const idleDays = Math.floor((Date.now() - new Date(matched.lastUsed).getTime()) / DAY_MS);
+      if (idleDays >= dormantDays) {
+        signal('dormant-device', 1, `Device last used ${idleDays} days ago`);
+      }
+    }
+  }
+
+  if (travel && travel.impossible) {
+    signal('impossible-travel', 1, `${travel.distanceKm} km from ${travel.from} to ${travel.to} in ${travel.hours} h`);
+  }
+  if (recentFailures > 0) {
+    signal('recent-failures', recentFailures / Math.max(1, config.LOGIN_LOCKOUT_THRESHOLD), `${recentFailures} failed sign-in(s) before this one`);
+  }
+  if (suspicion && suspicion.score > 0) {
+    signal('suspicious-traits', suspicion.score / 100, `Device trait suspicion ${suspicion.score}/100 (${suspicion.flags.join(', ')})`);
+  }
+
+  const score = Math.min(100, details.reduce((total, item) => total + item.points, 0));
+
+  let action = 'allow';
+  if (config.LOGIN_RISK_DENY_THRESHOLD > 0 && score >= config.LOGIN_RISK_DENY_THRESHOLD) {
+    action = 'deny';
+  } else if (config.LOGIN_RISK_STEP_UP_THRESHOLD > 0 && score >= config.LOGIN_RISK_STEP_UP_THRESHOLD) {
+    action = 'step-up';
+  }
+
+  return {
+    score,
+    action,
+    signals: details.map(item => item.signal),
+    details
+  };
+}
+
+/**
+ * Compact form stored on audit events
+ * @param {Object} assessment - Result of assessLoginRisk
+ * @returns {Object} { score, action, signals }
+ */
+function summarizeRisk(assessment) {
+  return {
+    score: assessment.score,
+    action: assessment.action,
+    signals: assessment.signals
+  };
+}
+
+module.exports = {
+  DEFAULT_SIGNAL_WEIGHTS,
+  RISK_MESSAGES,
+  getSignalWeights,
+  getSubnet,
+  assessLoginRisk,
+  summarizeRisk
+};
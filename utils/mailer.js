@@ -0,0 +1,58 @@
+// Outgoing e-mail over SMTP, for messages that must not pass through webhooks or the database
+const nodemailer = require('nodemailer');
+const config = require('../config');
+
+let transport = null;
+
+/**
+ * Whether an SMTP server is configured (SMTP_URL)
+ * @returns {Boolean}
+ */
+function isMailConfigured() {
+  return Boolean(config.SMTP_URL);
+}
+
+/**
+ * Send an e-mail through SMTP_URL
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<Object>} nodemailer result
+ */
+async function sendMail({ to, subject, text }) {
+  if (!isMailConfigured()) {
+    throw new Error('SMTP_URL is not configured');
+  }
+  if (!transport) {
+    transport = nodemailer.createTransport(config.SMTP_URL);
+  }
+
+  return transport.sendMail({ from: config.MAIL_FROM, to, subject, text });
+}
+
+/**
+ * E-mail a step-up sign-in code to a user
+ * @param {Object} user - User document
+ * @param {String} code - Plain six-digit code (never stored or logged)
+ * @param {Date} expiresAt - When the code stops working
+ * @param {String} ipAddress - Address of the sign-in attempt
+ * @returns {Promise<Object>} nodemailer result
+ */
+function sendLoginCode(user, code, expiresAt, ipAddress) {
+  return sendMail({
+    to: user.email,
+    subject: `Your ${config.TOTP_ISSUER} sign-in code`,
+    text: [
+      `Hello ${user.username},`,
+      '',
+      `Your sign-in code is ${code}. It expires at ${expiresAt.toISOString()}.`,
+      `The sign-in was attempted from ${ipAddress}.`,
+      '',
+      'If this wasn\'t you, change your password and contact an administrator.'
+    ].join('\n')
+  });
+}
+
+module.exports = {
+  isMailConfigured,
+  sendMail,
+  sendLoginCode
+};
@@ -0,0 +1,60 @@
+// express-rate-limit store keeping counters in MongoDB, so limits hold across
+// instances and restarts
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+class MongoRateLimitStore {
+  /**
+   * @param {Object} options - { prefix } distinguishing the limiter's counters from other limiters'
+   */
+  constructor({ prefix = 'rl:' } = {}) {
+    this.prefix = prefix;
+    // Counters are shared between instances (see express-rate-limit's double-count check)
+    this.localKeys = false;
+    this.windowMs = 60 * 1000;
+  }
+
+  /**
+   * Called by express-rate-limit with the limiter's options
+   * @param {Object} options - Limiter options
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  /**
+   * Count a hit for a key
+   * @param {String} key - Client key from the limiter's keyGenerator
+   * @returns {Promise<Object>} { totalHits, resetTime }
+   */
+  async increment(key) {
+    const counter = await RateLimitCounter.hit(this.prefix + key, this.windowMs);
+    return {
+      totalHits: counter.hits,
+      resetTime: counter.expiresAt
+    };
+  }
+
+  /**
+   * Fetch the current count of a key
+   * @param {String} key - Client key
+   * @returns {Promise<Object|undefined>} { totalHits, resetTime }
+   */
+  async get(key) {
+    const counter = await RateLimitCounter.findOne({ key: this.prefix + key, expiresAt: { $gt: new Date() } });
+    return counter ? { totalHits: counter.hits, resetTime: counter.expiresAt } : undefined;
+  }
+
+  async decrement(key) {
+    await RateLimitCounter.unhit(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await RateLimitCounter.deleteOne({ key: this.prefix + key });
+  }
+
+  async resetAll() {
+    await RateLimitCounter.deleteMany({ key: { $regex: `^${this.prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } });
+  }
+}
+
+module.exports = MongoRateLimitStore;
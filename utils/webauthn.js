@@ -0,0 +1,337 @@
+// WebAuthn (passkey) registration and assertion verification
+const crypto = require('crypto');
+const config = require('../config');
+const cbor = require('./cbor');
+const DeviceChallenge = require('../models/DeviceChallenge');
+
+const COSE_ALGORITHMS = {
+  ES256: -7,
+  EdDSA: -8,
+  RS256: -257
+};
+
+const FLAGS = {
+  USER_PRESENT: 0x01,
+  USER_VERIFIED: 0x04,
+  ATTESTED_CREDENTIAL_DATA: 0x40,
+  EXTENSION_DATA: 0x80
+};
+
+const CEREMONY_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Verification failures carry a code and status like other domain errors
+const fail = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_WEBAUTHN_RESPONSE';
+  error.status = 400;
+  throw error;
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+const fromBase64url = (value) => {
+  if (typeof value !== 'string' || !value) {
+    fail('Missing WebAuthn response field');
+  }
+  return Buffer.from(value, 'base64url');
+};
+
+/**
+ * Parse authenticator data (WebAuthn §6.1)
+ * @param {Buffer} authData - Raw authenticator data
+ * @returns {Object} { rpIdHash, flags, signCount, userPresent, userVerified, credential? }
+ */
+function parseAuthenticatorData(authData) {
+  if (authData.length < 37) {
+    fail('Authenticator data is too short');
+  }
+
+  const flags = authData[32];
+  const result = {
+    rpIdHash: authData.subarray(0, 32),
+    flags,
+    signCount: authData.readUInt32BE(33),
+    userPresent: Boolean(flags & FLAGS.USER_PRESENT),
+    userVerified: Boolean(flags & FLAGS.USER_VERIFIED)
+  };
+
+  if (flags & FLAGS.ATTESTED_CREDENTIAL_DATA) {
+    try {
+      const credentialIdLength = authData.readUInt16BE(53);
+      const credentialId = authData.subarray(55, 55 + credentialIdLength);
+      const { value: publicKey } = cbor.decodeFirst(authData.subarray(55 + credentialIdLength));
+
+      result.credential = {
+        aaguid: authData.subarray(37, 53).toString('hex'),
+        credentialId: credentialId.toString('base64url'),
+        publicKey
+      };
+    } catch (error) {
+      fail('Invalid attested credential data');
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Convert a COSE public key to a JWK usable with crypto.createPublicKey
+ * @param {Map} coseKey - Decoded COSE_Key
+ * @returns {Object} { jwk, alg }
+ */
+function coseToJwk(coseKey) {
+  if (!(coseKey instanceof Map)) {
+    fail('Invalid credential public key');
+  }
+
+  const kty = coseKey.get(1);
+  const alg = coseKey.get(3);
+
+  if (kty === 2 && coseKey.get(-1) === 1 && alg === COSE_ALGORITHMS.ES256) {
+    return {
+      alg,
+      jwk: { kty: 'EC', crv: 'P-256', x: coseKey.get(-2).toString('base64url'), y: coseKey.get(-3).toString('base64url') }
+    };
+  }
+  if (kty === 1 && coseKey.get(-1) === 6 && alg === COSE_ALGORITHMS.EdDSA) {
+    return {
+      alg,
+      jwk: { kty: 'OKP', crv: 'Ed25519', x: coseKey.get(-2).toString('base64url') }
+    };
+  }
+  if (kty === 3 && alg === COSE_ALGORITHMS.RS256) {
+    return {
+      alg,
+      jwk: { kty: 'RSA', n: coseKey.get(-1).toString('base64url'), e: coseKey.get(-2).toString('base64url') }
+    };
+  }
+
+  return fail('Unsupported credential public key algorithm');
+}
+
+/**
+ * Verify a signature made by a credential
+ * @param {Object} credential - { publicKey (JWK), alg }
+ * @param {Buffer} data - Signed data
+ * @param {Buffer} signature - Signature (DER for ES256, as produced by authenticators)
+ * @returns {Boolean} Whether the signature is valid
+ */
+function verifyCredentialSignature(credential, data, signature) {
+  try {
+    const key = crypto.createPublicKey({ key: credential.publicKey, format: 'jwk' });
+    const digest = credential.alg === COSE_ALGORITHMS.EdDSA ? null : 'sha256';
+    return crypto.verify(digest, data, key, signature);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check clientDataJSON against the expected ceremony
+ * @returns {Buffer} Raw clientDataJSON
+ */
+function checkClientData(encodedClientData, expectedType, expectedChallenge) {
+  const raw = fromBase64url(encodedClientData);
+
+  let clientData;
+  try {
+    clientData = JSON.parse(raw.toString('utf8'));
+  } catch (error) {
+    fail('Invalid clientDataJSON');
+  }
+
+  if (clientData.type !== expectedType) {
+    fail('Unexpected WebAuthn ceremony type');
+  }
+  if (clientData.challenge !== expectedChallenge) {
+    fail('Challenge mismatch');
+  }
+  if (!config.WEBAUTHN_ORIGINS.includes(clientData.origin)) {
+    fail(`Origin ${clientData.origin} is not allowed`);
+  }
+
+  return raw;
+}
+
+function checkAuthenticatorData(authenticatorData, requireUserVerification) {
+  if (!authenticatorData.rpIdHash.equals(sha256(config.WEBAUTHN_RP_ID))) {
+    fail('Relying party ID mismatch');
+  }
+  if (!authenticatorData.userPresent) {
+    fail('User presence is required');
+  }
+  if (requireUserVerification && !authenticatorData.userVerified) {
+    fail('User verification is required');
+  }
+}
+
+/**
+ * Options for navigator.credentials.create() (binary fields base64url-encoded)
+ * @param {Object} user - User document
+ * @param {String} challenge - Challenge nonce
+ * @returns {Object} PublicKeyCredentialCreationOptions as JSON
+ */
+function buildRegistrationOptions(user, challenge) {
+  return {
+    challenge,
+    rp: { id: config.WEBAUTHN_RP_ID, name: config.WEBAUTHN_RP_NAME },
+    user: {
+      id: Buffer.from(user._id.toString()).toString('base64url'),
+      name: user.email,
+      displayName: user.username
+    },
+    pubKeyCredParams: Object.values(COSE_ALGORITHMS).map(alg => ({ type: 'public-key', alg })),
+    timeout: CEREMONY_TIMEOUT_MS,
+    attestation: 'none',
+    authenticatorSelection: {
+      authenticatorAttachment: 'platform',
+      residentKey: 'preferred',
+      userVerification: 'preferred'
+    },
+    excludeCredentials: (user.webauthnCredentials || []).map(credential => ({
+      type: 'public-key',
+      id: credential.credentialId,
+      transports: credential.transports
+    }))
+  };
+}
+
+/**
+ * Options for navigator.credentials.get() (binary fields base64url-encoded)
+ * @param {String} challenge - Challenge nonce
+ * @param {Array} credentials - Stored credentials allowed to answer (empty for discoverable credentials)
+ * @returns {Object} PublicKeyCredentialRequestOptions as JSON
+ */
+function buildAuthenticationOptions(challenge, credentials = []) {
+  return {
+    challenge,
+    rpId: config.WEBAUTHN_RP_ID,
+    timeout: CEREMONY_TIMEOUT_MS,
+    userVerification: 'preferred',
+    allowCredentials: credentials.map(credential => ({
+      type: 'public-key',
+      id: credential.credentialId,
+      transports: credential.transports
+    }))
+  };
+}
+
+/**
+ * Verify a registration response (attestation "none"; attestation statements are not checked)
+ * @param {Object} credential - PublicKeyCredential as JSON ({ id, response: { clientDataJSON, attestationObject, transports } })
+ * @param {String} expectedChallenge - Challenge nonce that was issued
+ * @returns {Object} Credential to store: { credentialId, publicKey, alg, signCount, aaguid, transports, userVerified }
+ */
+function verifyRegistration(credential, expectedChallenge) {
+  if (!credential || !credential.response) {
+    fail('Missing WebAuthn credential');
+  }
+
+  checkClientData(credential.response.clientDataJSON, 'webauthn.create', expectedChallenge);
+
+  let attestation;
+  try {
+    attestation = cbor.decode(fromBase64url(credential.response.attestationObject));
+  } catch (error) {
+    fail('Invalid attestation object');
+  }
+  if (!(attestation instanceof Map) || !Buffer.isBuffer(attestation.get('authData'))) {
+    fail('Invalid attestation object');
+  }
+
+  const authenticatorData = parseAuthenticatorData(attestation.get('authData'));
+  checkAuthenticatorData(authenticatorData, false);
+
+  if (!authenticatorData.credential) {
+    fail('Attested credential data is missing');
+  }
+  if (credential.id && credential.id !== authenticatorData.credential.credentialId) {
+    fail('Credential ID mismatch');
+  }
+
+  const { jwk, alg } = coseToJwk(authenticatorData.credential.publicKey);
+
+  return {
+    credentialId: authenticatorData.credential.credentialId,
+    publicKey: jwk,
+    alg,
+    signCount: authenticatorData.signCount,
+    aaguid: authenticatorData.credential.aaguid,
+    transports: Array.isArray(credential.response.transports) ? credential.response.transports : [],
+    userVerified: authenticatorData.userVerified
+  };
+}
+
+/**
+ * Verify an assertion response against a stored credential
+ * @param {Object} assertion - PublicKeyCredential as JSON ({ id, response: { clientDataJSON, authenticatorData, signature, userHandle } })
+ * @param {String} expectedChallenge - Challenge nonce that was issued
+ * @param {Object} storedCredential - Stored credential ({ publicKey, alg, signCount })
+ * @param {Object} options - { requireUserVerification }
+ * @returns {Object} { signCount, userVerified }
+ */
+function verifyAuthentication(assertion, expectedChallenge, storedCredential, { requireUserVerification = false } = {}) {
+  if (!assertion || !assertion.response) {
+    fail('Missing WebAuthn assertion');
+  }
+
+  const clientDataJSON = checkClientData(assertion.response.clientDataJSON, 'webauthn.get', expectedChallenge);
+  const rawAuthenticatorData = fromBase64url(assertion.response.authenticatorData);
+  const authenticatorData = parseAuthenticatorData(rawAuthenticatorData);
+  checkAuthenticatorData(authenticatorData, requireUserVerification);
+
+  const signedData = Buffer.concat([rawAuthenticatorData, sha256(clientDataJSON)]);
+  if (!verifyCredentialSignature(storedCredential, signedData, fromBase64url(assertion.response.signature))) {
+    fail('Invalid assertion signature');
+  }
+
+  // A counter that doesn't move forward indicates a cloned authenticator
+  if ((authenticatorData.signCount > 0 || storedCredential.signCount > 0) &&
+      authenticatorData.signCount <= storedCredential.signCount) {
+    fail('Signature counter did not increase; the authenticator may be cloned');
+  }
+
+  return {
+    signCount: authenticatorData.signCount,
+    userVerified: authenticatorData.userVerified
+  };
+}
+
+/**
+ * Verify a passkey assertion of a user against a challenge issued by /webauthn/login/options.
+ * Updates the stored credential's counter and last use; the caller saves the user.
+ * @param {Object} user - User document
+ * @param {Object} passkey - { challengeId, credential }
+ * @param {Object} options - { requireUserVerification }
+ * @returns {Promise<Object>} { storedCredential, userVerified }
+ */
+async function verifyPasskeyAssertion(user, passkey, options = {}) {
+  const { challengeId, credential } = passkey || {};
+
+  const challenge = await DeviceChallenge.consume(challengeId, 'webauthn-authentication');
+  if (!challenge || (challenge.user && !challenge.user.equals(user._id))) {
+    fail('Invalid or expired WebAuthn challenge');
+  }
+
+  const storedCredential = credential && user.getWebAuthnCredential(credential.id);
+  if (!storedCredential) {
+    fail('Unknown passkey');
+  }
+
+  const result = verifyAuthentication(credential, challenge.nonce, storedCredential, options);
+  storedCredential.signCount = result.signCount;
+  storedCredential.lastUsedAt = new Date();
+
+  return { storedCredential, userVerified: result.userVerified };
+}
+
+module.exports = {
+  COSE_ALGORITHMS,
+  parseAuthenticatorData,
+  coseToJwk,
+  buildRegistrationOptions,
+  buildAuthenticationOptions,
+  verifyRegistration,
+  verifyAuthentication,
+  verifyPasskeyAssertion
+};
@@ -0,0 +1,243 @@
+// Signed webhook delivery from a persistent outbox
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const config = require('../config');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const LOCK_DURATION_MS = 60 * 1000;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+
+let workerTimer = null;
+
+/**
+ * Compute the signature header value for a webhook body
+ * @param {String} secret - Subscription secret
+ * @param {Number} timestamp - Unix timestamp (seconds) sent in X-Webhook-Timestamp
+ * @param {String} body - Raw JSON body
+ * @returns {String} Signature in the form "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  return `sha256=${digest}`;
+}
+
+/**
+ * Verify a received webhook (for receivers written in Node)
+ * @param {String} secret - Subscription secret
+ * @param {Object} headers - Request headers (lower-cased, as in Node)
+ * @param {String} body - Raw request body
+ * @param {Number} toleranceSeconds - Maximum accepted age of the timestamp
+ * @returns {Boolean} Whether the signature is valid and fresh
+ */
+function verifySignature(secret, headers, body, toleranceSeconds = 300) {
+  const timestamp = Number(headers['x-webhook-timestamp']);
+  const signature = headers['x-webhook-signature'] || '';
+
+  if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Queue an event for every active subscription listening to it
+ * @param {String} event - Event name (see WEBHOOK_EVENTS)
+ * @param {Object} data - Event data
+ * @returns {Promise<Number>} Number of deliveries queued
+ */
+async function enqueueWebhookEvent(event, data) {
+  try {
+    const subscriptions = await WebhookSubscription.find({ isActive: true, events: event });
+
+    const createdAt = new Date();
+    await Promise.all(subscriptions.map(subscription => {
+      const delivery = new WebhookDelivery({ subscription: subscription._id, event });
+      delivery.payload = {
+        id: delivery._id.toString(),
+        event,
+        createdAt: createdAt.toISOString(),
+        data
+      };
+      return delivery.save();
+    }));
+
+    return subscriptions.length;
+  } catch (error) {
+    // Webhooks must never break the action that triggered them
+    console.error('Webhook enqueue error:', error);
+    return 0;
+  }
+}
+
+/**
+ * POST a body to a URL
+ * @returns {Promise<Number>} HTTP status code
+ */
+function postJson(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    const request = client.request(target, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      },
+      timeout: config.WEBHOOK_TIMEOUT_MS
+    }, (response) => {
+      // Drain the body; only the status matters
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+    });
+
+    request.on('timeout', () => request.destroy(new Error('Request timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Delay before the next attempt (exponential back-off)
+ * @param {Number} attempts - Attempts made so far
+ * @returns {Number} Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Attempt one delivery and record the outcome
+ * @param {Object} delivery - Claimed WebhookDelivery document
+ */
+async function attemptDelivery(delivery) {
+  const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+  const attemptedAt = new Date();
+  const attempt = { attemptedAt };
+
+  if (!subscription || !subscription.isActive) {
+    delivery.status = 'failed';
+    delivery.lockedUntil = null;
+    delivery.attemptLog.push({ ...attempt, error: 'Subscription removed or disabled' });
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(attemptedAt.getTime() / 1000);
+
+  try {
+    attempt.statusCode = await postJson(subscription.url, body, {
+      'User-Agent': 'single-device-auth-webhooks',
+      'X-Webhook-Id': delivery._id.toString(),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+    });
+    if (attempt.statusCode < 200 || attempt.statusCode >= 300) {
+      attempt.error = `Receiver responded with ${attempt.statusCode}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+
+  attempt.durationMs = Date.now() - attemptedAt.getTime();
+  delivery.attempts += 1;
+  delivery.lockedUntil = null;
+  delivery.attemptLog.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date();
+  } else if (delivery.attempts >= config.WEBHOOK_MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+  } else {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + getRetryDelay(delivery.attempts));
+  }
+
+  return delivery.save();
+}
+
+/**
+ * Send every delivery that is due, one at a time
+ * @returns {Promise<Number>} Number of deliveries attempted
+ */
+async function processDueDeliveries() {
+  let processed = 0;
+
+  for (;;) {
+    const now = new Date();
+    // Claim atomically so concurrent instances never send the same delivery;
+    // a delivery stuck in "delivering" (crashed instance) is reclaimed after its lock expires
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'delivering', lockedUntil: { $lt: now } }
+        ]
+      },
+      { $set: { status: 'delivering', lockedUntil: new Date(now.getTime() + LOCK_DURATION_MS) } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+
+    if (!delivery) {
+      return processed;
+    }
+
+    await attemptDelivery(delivery);
+    processed++;
+  }
+}
+
+/**
+ * Start polling the outbox
+ */
+function startWebhookWorker() {
+  if (workerTimer) return;
+
+  let running = false;
+  workerTimer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueDeliveries();
+    } catch (error) {
+      console.error('Webhook worker error:', error);
+    } finally {
+      running = false;
+    }
+  }, config.WEBHOOK_WORKER_INTERVAL_MS);
+
+  // Don't keep the process alive just for webhooks
+  workerTimer.unref();
+}
+
+/**
+ * Stop polling the outbox
+ */
+function stopWebhookWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+module.exports = {
+  signPayload,
+  verifySignature,
+  getRetryDelay,
+  attemptDelivery,
+  enqueueWebhookEvent,
+  processDueDeliveries,
+  startWebhookWorker,
+  stopWebhookWorker
+};